@@ -0,0 +1,43 @@
+/**
+ * Runs the test scripts that need neither a running API server, a browser nor network access.
+ * Every script runs even when an earlier one fails; the exit code is non-zero if any failed.
+ */
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const OFFLINE_TESTS = [
+    'test-address-recognizers.js',
+    'test-ai-provider.js',
+    'test-company-detection.js',
+    'test-concurrency.js',
+    'test-contact-association.js',
+    'test-crawl-frontier.js',
+    'test-crawl-scope.js',
+    'test-crawler-identity.js',
+    'test-email-domains.js',
+    'test-email-filter.js',
+    'test-email-provenance.js',
+    'test-email-verification.js',
+    'test-fetch-errors.js',
+    'test-fetch-mode.js',
+    'test-linked-files.js',
+    'test-page-dedupe.js',
+    'test-page-log.js',
+    'test-person-resolution.js',
+    'test-robots-txt.js',
+    'test-sitemaps.js',
+    'test-social-profiles.js',
+    'test-structured-data.js'
+];
+
+const failed = OFFLINE_TESTS.filter(file => {
+    console.log(`\n▶️  ${file}\n`);
+    const run = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+    return run.status !== 0;
+});
+
+console.log(`\n📊 ${OFFLINE_TESTS.length - failed.length}/${OFFLINE_TESTS.length} test files passed`);
+if (failed.length > 0) {
+    console.log(`❌ Failed: ${failed.join(', ')}`);
+    process.exitCode = 1;
+}
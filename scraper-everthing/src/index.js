@@ -3,12 +3,41 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const EmailScraper = require('./scrapers/EmailScraper');
 const { validateUrl, validateScrapingOptions } = require('./utils/validators');
+const { validateEmailFilters } = require('./utils/emailClassifier');
+const { generateCSVFromData } = require('./utils/csvExport');
 const { logger } = require('./utils/logger');
 const fileStorage = require('./utils/fileStorage');
+const { buildCrawlerIdentity } = require('./utils/crawlerIdentity');
+const { DEFAULT_SYSTEM_PROMPT, DEFAULT_PROMPT_TEMPLATE, createLLMProvider } = require('./utils/llmProviders');
+const { validateDnsServers } = require('./utils/emailVerifier');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Crawler identity - configured server-wide, never taken from request options
+const CRAWLER_IDENTITY = buildCrawlerIdentity({
+    name: process.env.CRAWLER_NAME,
+    version: process.env.CRAWLER_VERSION,
+    infoUrl: process.env.CRAWLER_INFO_URL,
+    contact: process.env.CRAWLER_CONTACT
+});
+
+// AI provider - configured server-wide, so a request can't send the API key to another endpoint
+const AI_PROVIDER = {
+    aiProvider: process.env.AI_PROVIDER || 'openrouter',
+    aiBaseUrl: process.env.AI_BASE_URL || null,
+    aiApiKey: process.env.AI_API_KEY || null
+};
+// Fails at startup on an unknown AI_PROVIDER rather than on every request
+const AI_DESCRIPTION = createLLMProvider({ ...AI_PROVIDER, aiModel: process.env.AI_MODEL }).description;
+
+// DNS servers for email verification - configured server-wide, so a request can't point lookups at internal hosts
+const DNS_SERVERS = (process.env.DNS_SERVERS || '').split(',').map(server => server.trim()).filter(Boolean);
+const dnsServersError = validateDnsServers(DNS_SERVERS);
+if (dnsServersError) {
+    throw new Error(`DNS_SERVERS: ${dnsServersError}`);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -52,6 +81,7 @@ app.post('/api/scrape', async (req, res) => {
             maxDepth: options.maxDepth || 2,
             maxPages: options.maxPages || 50,
             delay: options.delay || 1000,
+            concurrentPages: options.concurrentPages || 1,
             headless: options.headless !== false,
             respectRobots: options.respectRobots !== false,
             skipImages: options.skipImages !== false,
@@ -62,7 +92,36 @@ app.post('/api/scrape', async (req, res) => {
             collectPersonalData: options.collectPersonalData !== false,
             useAICategorization: options.useAICategorization !== false,
             openRouterApiKey: options.openRouterApiKey || process.env.OPENROUTER_API_KEY,
-            restrictToPath: options.restrictToPath || ''
+            aiModel: options.aiModel || process.env.AI_MODEL || null,
+            aiTemperature: options.aiTemperature !== undefined ? options.aiTemperature : 0.1,
+            aiMaxTokens: options.aiMaxTokens || 300,
+            aiSystemPrompt: options.aiSystemPrompt || DEFAULT_SYSTEM_PROMPT,
+            aiPromptTemplate: options.aiPromptTemplate || DEFAULT_PROMPT_TEMPLATE,
+            restrictToPath: options.restrictToPath || '',
+            includePatterns: options.includePatterns || [],
+            excludePatterns: options.excludePatterns || [],
+            followSubdomains: options.followSubdomains === true,
+            queryRules: options.queryRules || [],
+            dedupePages: options.dedupePages !== false,
+            maxRetries: options.maxRetries !== undefined ? options.maxRetries : 2,
+            retryBaseDelay: options.retryBaseDelay || 1000,
+            scoringRules: options.scoringRules || [],
+            useDefaultScoring: options.useDefaultScoring !== false,
+            useSitemaps: options.useSitemaps === true,
+            fetchMode: options.fetchMode || 'browser',
+            addressCountries: options.addressCountries || [],
+            fetchVCards: options.fetchVCards !== false,
+            scanPdfs: options.scanPdfs === true,
+            maxPdfBytes: options.maxPdfBytes || 5 * 1024 * 1024,
+            maxPdfPages: options.maxPdfPages || 50,
+            verifyEmails: options.verifyEmails === true,
+            dnsServers: DNS_SERVERS,
+            dnsTimeout: options.dnsTimeout || 5000,
+            disposableDomains: options.disposableDomains || [],
+            emailTypes: options.emailTypes || [],
+            minScore: options.minScore || 0,
+            ...CRAWLER_IDENTITY,
+            ...AI_PROVIDER
         };
 
         logger.info(`Starting scraping for URL: ${url}`, { options: scrapingOptions });
@@ -78,7 +137,8 @@ app.post('/api/scrape', async (req, res) => {
 
         logger.info(`Scraping completed for URL: ${url}`, { 
             emailsFound: result.emails.length,
-            pagesVisited: result.pagesVisited 
+            pagesVisited: result.pagesVisited,
+            failedPages: result.errorSummary.failedPages
         });
 
         res.json({
@@ -88,7 +148,15 @@ app.post('/api/scrape', async (req, res) => {
                 emails: result.emails,
                 totalEmails: result.emails.length,
                 pagesVisited: result.pagesVisited,
+                duplicatePages: result.duplicatePages,
                 personalData: result.personalData,
+                emailSources: result.emailSources,
+                verification: result.verification,
+                emailScores: result.emailScores,
+                people: result.people,
+                debug: result.debug,
+                pages: result.pages,
+                errorSummary: result.errorSummary,
                 timestamp: new Date().toISOString()
             }
         });
@@ -116,6 +184,11 @@ app.post('/api/scrape/fast/progress', async (req, res) => {
             return res.status(400).json({ error: validationResult.error });
         }
 
+        const optionsValidation = validateScrapingOptions(req.body.options);
+        if (!optionsValidation.isValid) {
+            return res.status(400).json({ error: optionsValidation.error });
+        }
+
         logger.info(`Starting fast scraping with progress for URL: ${url}`);
 
         // Set headers for Server-Sent Events
@@ -132,6 +205,7 @@ app.post('/api/scrape/fast/progress', async (req, res) => {
             maxDepth: 2,
             maxPages: 50,
             delay: 500,
+            concurrentPages: 3,
             headless: true,
             respectRobots: false,
             skipImages: true,
@@ -142,7 +216,34 @@ app.post('/api/scrape/fast/progress', async (req, res) => {
             collectPersonalData: req.body.options?.collectPersonalData !== false, // Default to true unless explicitly disabled
             useAICategorization: req.body.options?.useAICategorization !== false, // Default to true unless explicitly disabled
             openRouterApiKey: req.body.options?.openRouterApiKey || process.env.OPENROUTER_API_KEY,
+            aiModel: req.body.options?.aiModel || process.env.AI_MODEL || null,
+            aiTemperature: req.body.options?.aiTemperature !== undefined ? req.body.options.aiTemperature : 0.1,
+            aiMaxTokens: req.body.options?.aiMaxTokens || 300,
+            aiSystemPrompt: req.body.options?.aiSystemPrompt || DEFAULT_SYSTEM_PROMPT,
+            aiPromptTemplate: req.body.options?.aiPromptTemplate || DEFAULT_PROMPT_TEMPLATE,
             restrictToPath: req.body.options?.restrictToPath || '',
+            includePatterns: req.body.options?.includePatterns || [],
+            excludePatterns: req.body.options?.excludePatterns || [],
+            followSubdomains: req.body.options?.followSubdomains === true,
+            queryRules: req.body.options?.queryRules || [],
+            dedupePages: req.body.options?.dedupePages !== false,
+            maxRetries: req.body.options?.maxRetries !== undefined ? req.body.options.maxRetries : 1,
+            scoringRules: req.body.options?.scoringRules || [],
+            useSitemaps: req.body.options?.useSitemaps === true,
+            fetchMode: req.body.options?.fetchMode || 'auto',
+            addressCountries: req.body.options?.addressCountries || [],
+            fetchVCards: req.body.options?.fetchVCards !== false,
+            scanPdfs: req.body.options?.scanPdfs === true,
+            maxPdfBytes: req.body.options?.maxPdfBytes || 5 * 1024 * 1024,
+            maxPdfPages: req.body.options?.maxPdfPages || 50,
+            verifyEmails: req.body.options?.verifyEmails === true,
+            dnsServers: DNS_SERVERS,
+            dnsTimeout: req.body.options?.dnsTimeout || 5000,
+            disposableDomains: req.body.options?.disposableDomains || [],
+            emailTypes: req.body.options?.emailTypes || [],
+            minScore: req.body.options?.minScore || 0,
+            ...CRAWLER_IDENTITY,
+            ...AI_PROVIDER,
             onProgress: (progress) => {
                 // Send progress update to client
                 res.write(`data: ${JSON.stringify(progress)}\n\n`);
@@ -162,7 +263,15 @@ app.post('/api/scrape/fast/progress', async (req, res) => {
                 emails: result.emails,
                 totalEmails: result.emails.length,
                 pagesVisited: result.pagesVisited,
+                duplicatePages: result.duplicatePages,
                 personalData: result.personalData,
+                emailSources: result.emailSources,
+                verification: result.verification,
+                emailScores: result.emailScores,
+                people: result.people,
+                debug: result.debug,
+                pages: result.pages,
+                errorSummary: result.errorSummary,
                 mode: 'fast',
                 timestamp: new Date().toISOString()
             }
@@ -210,6 +319,7 @@ app.post('/api/scrape/fast', async (req, res) => {
             maxDepth: 2,
             maxPages: 50,
             delay: 500,
+            concurrentPages: 3,
             headless: true,
             respectRobots: false,
             skipImages: true,
@@ -217,7 +327,11 @@ app.post('/api/scrape/fast', async (req, res) => {
             skipFonts: true,
             skipMedia: true,
             timeout: 15000,
-            collectPersonalData: true
+            fetchMode: 'auto',
+            collectPersonalData: true,
+            aiModel: process.env.AI_MODEL || null,
+            ...CRAWLER_IDENTITY,
+            ...AI_PROVIDER
         };
 
         const scraper = new EmailScraper(fastOptions);
@@ -236,7 +350,13 @@ app.post('/api/scrape/fast', async (req, res) => {
                 emails: result.emails,
                 totalEmails: result.emails.length,
                 pagesVisited: result.pagesVisited,
+                duplicatePages: result.duplicatePages,
                 personalData: result.personalData,
+                emailSources: result.emailSources,
+                verification: result.verification,
+                emailScores: result.emailScores,
+                people: result.people,
+                debug: result.debug,
                 mode: 'fast',
                 timestamp: new Date().toISOString()
             }
@@ -279,6 +399,7 @@ app.post('/api/scrape/batch', async (req, res) => {
             maxDepth: options.maxDepth || 2,
             maxPages: options.maxPages || 30,
             delay: options.delay || 1000,
+            concurrentPages: options.concurrentPages || 1,
             headless: true,
             respectRobots: options.respectRobots !== false,
             skipImages: options.skipImages !== false,
@@ -289,7 +410,36 @@ app.post('/api/scrape/batch', async (req, res) => {
             collectPersonalData: options.collectPersonalData !== false,
             useAICategorization: options.useAICategorization !== false,
             openRouterApiKey: options.openRouterApiKey || process.env.OPENROUTER_API_KEY,
-            restrictToPath: options.restrictToPath || ''
+            aiModel: options.aiModel || process.env.AI_MODEL || null,
+            aiTemperature: options.aiTemperature !== undefined ? options.aiTemperature : 0.1,
+            aiMaxTokens: options.aiMaxTokens || 300,
+            aiSystemPrompt: options.aiSystemPrompt || DEFAULT_SYSTEM_PROMPT,
+            aiPromptTemplate: options.aiPromptTemplate || DEFAULT_PROMPT_TEMPLATE,
+            restrictToPath: options.restrictToPath || '',
+            includePatterns: options.includePatterns || [],
+            excludePatterns: options.excludePatterns || [],
+            followSubdomains: options.followSubdomains === true,
+            queryRules: options.queryRules || [],
+            dedupePages: options.dedupePages !== false,
+            maxRetries: options.maxRetries !== undefined ? options.maxRetries : 2,
+            retryBaseDelay: options.retryBaseDelay || 1000,
+            scoringRules: options.scoringRules || [],
+            useDefaultScoring: options.useDefaultScoring !== false,
+            useSitemaps: options.useSitemaps === true,
+            fetchMode: options.fetchMode || 'browser',
+            addressCountries: options.addressCountries || [],
+            fetchVCards: options.fetchVCards !== false,
+            scanPdfs: options.scanPdfs === true,
+            maxPdfBytes: options.maxPdfBytes || 5 * 1024 * 1024,
+            maxPdfPages: options.maxPdfPages || 50,
+            verifyEmails: options.verifyEmails === true,
+            dnsServers: DNS_SERVERS,
+            dnsTimeout: options.dnsTimeout || 5000,
+            disposableDomains: options.disposableDomains || [],
+            emailTypes: options.emailTypes || [],
+            minScore: options.minScore || 0,
+            ...CRAWLER_IDENTITY,
+            ...AI_PROVIDER
         };
 
         for (const url of urls) {
@@ -304,7 +454,14 @@ app.post('/api/scrape/batch', async (req, res) => {
                     emails: result.emails,
                     totalEmails: result.emails.length,
                     pagesVisited: result.pagesVisited,
-                    personalData: result.personalData
+                    duplicatePages: result.duplicatePages,
+                    errorSummary: result.errorSummary,
+                    personalData: result.personalData,
+                    emailSources: result.emailSources,
+                    verification: result.verification,
+                    emailScores: result.emailScores,
+                    people: result.people,
+                    debug: result.debug
                 });
 
                 logger.info(`Completed scraping for ${url}`, { emailsFound: result.emails.length });
@@ -345,14 +502,19 @@ app.post('/api/scrape/batch', async (req, res) => {
 // CSV export endpoint
 app.post('/api/export/csv', (req, res) => {
     try {
-        const { data } = req.body;
+        const { data, filters = {} } = req.body;
         
         if (!data || !data.results) {
             return res.status(400).json({ error: 'Invalid data format' });
         }
 
+        const filtersError = validateEmailFilters(filters);
+        if (filtersError) {
+            return res.status(400).json({ error: filtersError });
+        }
+
         // Generate CSV content
-        const csvContent = generateCSVFromData(data);
+        const csvContent = generateCSVFromData(data, filters);
         
         // Save to server storage
         const saveResult = fileStorage.saveCSV(csvContent, {
@@ -384,67 +546,6 @@ app.post('/api/export/csv', (req, res) => {
     }
 });
 
-// Function to generate CSV from scraping data
-function generateCSVFromData(data) {
-    const successfulResults = data.results.filter(r => r.success);
-    const csvRows = [];
-    
-    // Add header row
-    csvRows.push([
-        'Email',
-        'Source URL',
-        'Names',
-        'Job Titles',
-        'Companies',
-        'Keywords',
-        'Addresses',
-        'Social Media',
-        'Industries',
-        'Seniority',
-        'Departments',
-        'Scraped At'
-    ]);
-
-    // Add data rows
-    successfulResults.forEach(result => {
-        if (result.emails && result.emails.length > 0) {
-            result.emails.forEach(email => {
-                const personalData = result.personalData && result.personalData[email] ? result.personalData[email] : {};
-                
-                const row = [
-                    email,
-                    result.url,
-                    personalData.names ? personalData.names.join('; ') : '',
-                    personalData.jobTitles ? personalData.jobTitles.join('; ') : '',
-                    personalData.companies ? personalData.companies.join('; ') : '',
-                    personalData.keywords ? personalData.keywords.join('; ') : '',
-                    personalData.addresses ? personalData.addresses.join('; ') : '',
-                    personalData.socialMedia ? Object.entries(personalData.socialMedia)
-                        .map(([platform, profiles]) => `${platform}: ${profiles.join(', ')}`)
-                        .join('; ') : '',
-                    personalData.industries ? personalData.industries.join('; ') : '',
-                    personalData.seniority ? personalData.seniority.join('; ') : '',
-                    personalData.departments ? personalData.departments.join('; ') : '',
-                    new Date(data.timestamp).toLocaleString()
-                ];
-                
-                csvRows.push(row);
-            });
-        }
-    });
-
-    // Convert to CSV format
-    return csvRows.map(row => 
-        row.map(cell => {
-            const escaped = String(cell).replace(/"/g, '""');
-            if (escaped.includes(',') || escaped.includes('"') || escaped.includes('\n')) {
-                return `"${escaped}"`;
-            }
-            return escaped;
-        }).join(',')
-    ).join('\n');
-}
-
 // Get list of saved CSV files
 app.get('/api/csv-files', (req, res) => {
     try {
@@ -615,6 +716,8 @@ app.listen(PORT, '0.0.0.0', () => {
     logger.info(`Scraper API server running on:`);
     logger.info(`  Local:   http://localhost:${PORT}`);
     logger.info(`  Network: http://192.168.1.92:${PORT}`); // use your actual IP
+    logger.info(`Crawling as: ${CRAWLER_IDENTITY.userAgent}`);
+    logger.info(`AI categorization: ${AI_DESCRIPTION}`);
   });
 
 module.exports = app; 
\ No newline at end of file
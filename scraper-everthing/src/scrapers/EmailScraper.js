@@ -1,16 +1,91 @@
+const crypto = require('crypto');
 const puppeteer = require('puppeteer');
 const cheerio = require('cheerio');
 const axios = require('axios');
 const URLParse = require('url-parse');
 const robotsParser = require('robots-parser');
+const { CrawlFrontier } = require('../utils/crawlFrontier');
+const { loadSitemapUrls } = require('../utils/sitemapLoader');
+const { buildCrawlerIdentity } = require('../utils/crawlerIdentity');
+const { CrawlScope } = require('../utils/crawlScope');
+const { canonicalizeUrl } = require('../utils/urlCanonicalizer');
+const { classifyHttpStatus, classifyFetchError, parseRetryAfter } = require('../utils/fetchErrors');
+const { getNameLocale, buildNamePatterns, detectPageLanguage } = require('../utils/nameLocales');
+const { getAddressRecognizers, recognizeAddresses, mergeAddresses } = require('../utils/addressRecognizers');
+const { extractStructuredData } = require('../utils/structuredData');
+const { parseVCard, isVCardLink } = require('../utils/vcard');
+const { extractPdfPages, isPdfLink } = require('../utils/pdfText');
+const { extractCompanyNames, companiesForEmail, mergeCompanies } = require('../utils/companyNames');
+const { DEFAULT_SOCIAL_PLATFORMS, extractSocialProfiles, mergeSocialMedia } = require('../utils/socialProfiles');
+const { checkEmailCandidate } = require('../utils/emailFilter');
+const { toASCIIDomain, toUnicodeDomain, isKnownTld, getPublicSuffix } = require('../utils/publicSuffix');
+const { EmailVerifier } = require('../utils/emailVerifier');
+const { classifyEmail, scoreEmail, matchesEmailFilters } = require('../utils/emailClassifier');
+const { resolvePeople } = require('../utils/personResolver');
+const { DEFAULT_SYSTEM_PROMPT, DEFAULT_PROMPT_TEMPLATE, createLLMProvider, renderPrompt, parseJsonContent } = require('../utils/llmProviders');
+
+const MAX_REDIRECTS = 5;
+const MAX_HTML_BYTES = 10 * 1024 * 1024;
+const MAX_VCARD_BYTES = 256 * 1024;
+const MAX_VCARDS_PER_PAGE = 25;
+const MAX_PDFS_PER_PAGE = 10;
+const MAX_RETRY_DELAY = 30000;
+const MAX_HOST_PENALTY = 60000;
+const SNIPPET_RADIUS = 60;
+const MAX_OCCURRENCES_PER_EMAIL = 25;
+const MAX_REJECTED_EMAILS = 500;
+// Shortest word taken as run-on text after a TLD ("firma.plkontakt"); shorter tails are too ambiguous ("2x.png")
+const MIN_RUN_ON_WORD = 4;
+// Largest block of text still treated as one contact card when tying data to an email
+const MAX_CONTACT_BLOCK_TEXT = 1000;
+// Below this size a block is scanned for job titles as a whole, not just its title elements
+const CARD_TEXT_LIMIT = 300;
+const TITLE_SELECTOR = '[class*="title"], [class*="position"], [class*="job"], [class*="role"]';
+const COMPANY_SELECTOR = '[class*="company"], [class*="organization"], [class*="organisation"], [class*="employer"]';
+// Longer company elements are descriptions, not names
+const COMPANY_TEXT_LIMIT = 80;
+const JOB_TITLE_PATTERN = /\b(CEO|CTO|CFO|COO|VP|Director|Manager|Lead|Senior|Junior|Developer|Engineer|Designer|Analyst|Consultant|Specialist|Coordinator|Assistant|Intern|Founder|Co-founder|President|Executive|Head|Chief|Officer|Coordinator|Supervisor|Team Lead|Project Manager|Product Manager|Marketing Manager|Sales Manager|HR Manager|Operations Manager|Business Analyst|Data Analyst|UX Designer|UI Designer|Frontend|Backend|Full Stack|DevOps|QA|Tester|Architect|Consultant|Advisor|Mentor|Coach|Trainer|Instructor|Professor|Teacher|Lecturer|Researcher|Scientist|Doctor|Physician|Nurse|Therapist|Counselor|Lawyer|Attorney|Accountant|Bookkeeper|Receptionist|Administrator|Secretary|Assistant|Intern|Volunteer|Freelancer|Contractor|Consultant)\b/gi;
+
+// Missing content types are treated as HTML, as browsers do for most pages
+function isHtmlContentType(contentType) {
+    if (!contentType) return true;
+    return /text\/html|application\/xhtml\+xml/i.test(contentType);
+}
+
+// Read a response stream into a string (or a Buffer when encoding is null), giving up past maxBytes
+function readStream(stream, maxBytes, encoding = 'utf8') {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                stream.destroy();
+                reject(new Error(`Response larger than ${maxBytes} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => {
+            const buffer = Buffer.concat(chunks);
+            resolve(encoding ? buffer.toString(encoding) : buffer);
+        });
+        stream.on('error', reject);
+    });
+}
 
 class EmailScraper {
     constructor(options = {}) {
+        const identity = buildCrawlerIdentity();
+
         this.options = {
             maxDepth: options.maxDepth || 3,
             maxPages: options.maxPages || 100,
             delay: options.delay || 1000,
-            userAgent: options.userAgent || 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            userAgent: options.userAgent || identity.userAgent,
+            robotsProductToken: options.robotsProductToken || (options.userAgent ? options.userAgent.split('/')[0] : identity.robotsProductToken),
+            contactEmail: options.contactEmail || identity.contactEmail, // Sent as the HTTP From header
             timeout: options.timeout || 30000,
             headless: options.headless !== false,
             respectRobots: options.respectRobots !== false,
@@ -23,62 +98,111 @@ class EmailScraper {
             collectPersonalData: options.collectPersonalData !== false,
             useAICategorization: options.useAICategorization !== false, // Enable AI categorization
             openRouterApiKey: options.openRouterApiKey || process.env.OPENROUTER_API_KEY, // OpenRouter API key
+            aiProvider: options.aiProvider || 'openrouter', // 'openrouter', 'openai', 'ollama', 'llamacpp', 'mock' or an object with complete()
+            aiBaseUrl: options.aiBaseUrl || null, // Any OpenAI-compatible endpoint, replaces the provider's default
+            aiApiKey: options.aiApiKey || null, // Falls back to openRouterApiKey for OpenRouter
+            aiModel: options.aiModel || null, // The provider's default model when null
+            aiTemperature: options.aiTemperature !== undefined ? options.aiTemperature : 0.1,
+            aiMaxTokens: options.aiMaxTokens || 300,
+            aiSystemPrompt: options.aiSystemPrompt || DEFAULT_SYSTEM_PROMPT,
+            aiPromptTemplate: options.aiPromptTemplate || DEFAULT_PROMPT_TEMPLATE, // "{{data}}" is replaced by the record as JSON
             restrictToPath: options.restrictToPath || '',
+            includePatterns: options.includePatterns || [], // Globs or /regex/ strings a URL must match
+            excludePatterns: options.excludePatterns || [], // Globs or /regex/ strings that rule a URL out
+            followSubdomains: options.followSubdomains === true,
+            queryRules: options.queryRules || [], // e.g. { param: 'page', max: 5 } or { param: 'sort', exclude: true }
+            dedupePages: options.dedupePages !== false, // Skip pages whose rel=canonical or text matches a processed page
+            maxRetries: options.maxRetries !== undefined ? options.maxRetries : 2, // Retries for transient fetch errors
+            retryBaseDelay: options.retryBaseDelay || 1000, // First retry backoff in ms, doubled per attempt
+            scoringRules: options.scoringRules || [], // Extra { pattern, score } rules for the crawl frontier
+            useDefaultScoring: options.useDefaultScoring !== false,
+            useSitemaps: options.useSitemaps === true, // Seed the frontier from sitemap.xml / robots.txt sitemaps
+            fetchMode: options.fetchMode || 'browser', // 'http', 'browser' or 'auto' (HTTP first, browser for JS-rendered pages)
+            addressCountries: options.addressCountries || [], // Limit address recognition to these country codes
+            addressRecognizers: options.addressRecognizers || [], // Extra { country, pattern, components } recognizers
+            socialPlatforms: options.socialPlatforms || [], // Extra { platform, hosts, reject, profiles } definitions, checked first
+            fetchVCards: options.fetchVCards !== false, // Download linked .vcf files within the crawl scope
+            scanPdfs: options.scanPdfs === true, // Download linked PDFs within the crawl scope and search their text
+            maxPdfBytes: options.maxPdfBytes || 5 * 1024 * 1024,
+            maxPdfPages: options.maxPdfPages || 50,
+            verifyEmails: options.verifyEmails === true, // Check syntax, DNS, disposable and catch-all domains after the crawl
+            dnsServers: options.dnsServers || [], // "ip" or "ip:port" resolvers for verification; system resolvers when empty
+            dnsTimeout: options.dnsTimeout || 5000,
+            dnsResolver: options.dnsResolver || null, // Object with resolveMx/resolve4/resolve6, replaces dnsServers
+            disposableDomains: options.disposableDomains || [], // Extra throwaway inbox domains
+            emailTypes: options.emailTypes || [], // Keep only these classes: 'personal', 'role', 'system'
+            minScore: options.minScore || 0, // Keep only emails scoring at least this (0-100)
             ...options
         };
         
-        this.visitedUrls = new Set();
+        this.aiProvider = this.options.useAICategorization ? createLLMProvider(this.options) : null;
+        this.addressRecognizers = [...getAddressRecognizers(this.options.addressCountries), ...this.options.addressRecognizers];
+        this.socialPlatforms = [...this.options.socialPlatforms, ...DEFAULT_SOCIAL_PLATFORMS];
+        
+        this.visitedUrls = new Set(); // Canonical URL keys
+        this.processedPageKeys = new Set(); // Canonical URLs (incl. rel=canonical targets) of processed pages
+        this.contentHashes = new Set();
+        this.duplicatePages = 0;
+        this.pageLog = []; // One record per fetched page: status, redirects, content type, timing, outcome
         this.emails = new Set();
         this.personalData = new Map();
+        this.emailSources = new Map(); // email -> { firstSeen, lastSeen, occurrences: [{ url, method, snippet, foundAt }] }
+        this.rejectedEmails = new Map(); // email -> { email, reason, detail, snippet, urls } for candidates the filter threw out
+        this.emailBlocks = new Map(); // email -> Set of "pageUrl#block" keys of the contact cards and markup entities listing it
+        this.fetchedVCards = new Set(); // Canonical URLs of vCards already downloaded
+        this.fetchedPdfs = new Set(); // Canonical URLs of PDFs already downloaded
         this.browser = null;
-        this.page = null;
+        this.browserLaunch = null;
+        this.pages = [];
+        this.pagesCompleted = 0;
+        this.frontier = new CrawlFrontier({
+            scoringRules: this.options.scoringRules,
+            useDefaultScoring: this.options.useDefaultScoring,
+            keyFn: canonicalizeUrl
+        });
+        this.scope = null; // Set per crawl from the start URL
         this.robotsCache = new Map();
+        this.hostSchedule = new Map(); // host -> earliest time the next request may start
+        this.hostPenalties = new Map(); // host -> extra spacing in ms after 429/503 responses
+        this.errorCounts = { transient: {}, permanent: {} }; // Failed pages by the category of their final error
+        this.retriesByCategory = {};
+        this.retryCount = 0;
+        this.failedPages = 0;
     }
 
     // Email regex patterns for different formats
     getEmailPatterns() {
         return [
-            // Standard email format with word boundaries
-            /\b[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}\b/g,
+            // Standard email format with word boundaries; domains may be internationalized (müller.de, xn--mller-kva.de)
+            /\b[a-zA-Z0-9._%+-]+@[\p{L}\p{M}\p{N}.-]+\.(?:xn--[a-zA-Z0-9-]+|\p{L}{2,})(?![\p{L}\p{N}])/gu,
             // Obfuscated emails with [at] and [dot]
-            /\b[a-zA-Z0-9._%+-]+\s*\[at\]\s*[a-zA-Z0-9.-]+\s*\[dot\]\s*[a-zA-Z]{2,}\b/g,
+            /\b[a-zA-Z0-9._%+-]+\s*\[at\]\s*[\p{L}\p{M}\p{N}.-]+\s*\[dot\]\s*\p{L}{2,}(?![\p{L}\p{N}])/gu,
             // Obfuscated emails with (at) and (dot)
-            /\b[a-zA-Z0-9._%+-]+\s*\(at\)\s*[a-zA-Z0-9.-]+\s*\(dot\)\s*[a-zA-Z]{2,}\b/g,
+            /\b[a-zA-Z0-9._%+-]+\s*\(at\)\s*[\p{L}\p{M}\p{N}.-]+\s*\(dot\)\s*\p{L}{2,}(?![\p{L}\p{N}])/gu,
             // Emails with spaces around @ and .
-            /\b[a-zA-Z0-9._%+-]+\s*@\s*[a-zA-Z0-9.-]+\s*\.\s*[a-zA-Z]{2,}\b/g
+            /\b[a-zA-Z0-9._%+-]+\s*@\s*[\p{L}\p{M}\p{N}.-]+\s*\.\s*\p{L}{2,}(?![\p{L}\p{N}])/gu
         ];
     }
 
     // Enhanced name patterns with better context detection
-    getEnhancedNamePatterns() {
-        return [
-            // Full name with title: Mr. John Doe, Dr. Jane Smith
-            /\b(Mr\.|Mrs\.|Ms\.|Dr\.|Prof\.|Sir|Madam|Lady)\s+[A-Z][a-z]+\s+[A-Z][a-z]+\b/g,
-            // Full name with middle initial: John A. Doe, Jane B. Smith
-            /\b[A-Z][a-z]+\s+[A-Z]\.\s+[A-Z][a-z]+\b/g,
-            // Full name: John Doe, Jane Smith
-            /\b[A-Z][a-z]+\s+[A-Z][a-z]+\b/g,
-            // Name with prefix/suffix: John Doe Jr., Jane Smith III
-            /\b[A-Z][a-z]+\s+[A-Z][a-z]+\s+(Jr\.|Sr\.|I|II|III|IV)\b/g,
-            // Name in quotes: "John Doe", 'Jane Smith'
-            /["'][A-Z][a-z]+\s+[A-Z][a-z]+["']/g,
-            // Name in parentheses: (John Doe), [Jane Smith]
-            /[\(\[][A-Z][a-z]+\s+[A-Z][a-z]+[\)\]]/g
-        ];
+    getEnhancedNamePatterns(language = 'en') {
+        return buildNamePatterns(getNameLocale(language)).names;
     }
 
-    // Smart name extraction with context analysis
-    extractNamesWithContext(text) {
+    // Smart name extraction with context analysis; language selects the locale stopword lists
+    extractNamesWithContext(text, language = 'en') {
         const names = new Set();
-        const patterns = this.getEnhancedNamePatterns();
+        const locale = getNameLocale(language);
+        const patterns = buildNamePatterns(locale).names;
+        const normalized = text.normalize('NFC');
         
         // Extract names using patterns
         patterns.forEach(pattern => {
-            const matches = text.match(pattern);
+            const matches = normalized.match(pattern);
             if (matches) {
                 matches.forEach(match => {
-                    const cleaned = this.cleanName(match);
-                    if (cleaned && this.isValidName(cleaned)) {
+                    const cleaned = this.trimNameStopwords(this.cleanName(match), locale);
+                    if (cleaned && this.isValidName(cleaned, language)) {
                         names.add(cleaned);
                     }
                 });
@@ -86,113 +210,90 @@ class EmailScraper {
         });
         
         // Additional context-based extraction
-        const contextNames = this.extractNamesFromContext(text);
+        const contextNames = this.extractNamesFromContext(normalized, language);
         contextNames.forEach(name => names.add(name));
         
         return Array.from(names);
     }
     
     // Extract names based on context clues
-    extractNamesFromContext(text) {
+    extractNamesFromContext(text, language = 'en') {
         const names = new Set();
+        const locale = getNameLocale(language);
+        const { nearEmail, nearRole, inSection } = buildNamePatterns(locale);
         
-        // Look for names near email addresses
-        const emailNamePattern = /([A-Z][a-z]+\s+[A-Z][a-z]+)\s*[<\[\(]?[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}[>\]\)]?/g;
-        let match;
-        while ((match = emailNamePattern.exec(text)) !== null) {
-            const name = this.cleanName(match[1]);
-            if (name && this.isValidName(name)) {
-                names.add(name);
-            }
-        }
-        
-        // Look for names near job titles
-        const jobTitlePattern = /([A-Z][a-z]+\s+[A-Z][a-z]+)\s*[,:]\s*(CEO|CTO|CFO|COO|VP|Director|Manager|Lead|Senior|Junior|Developer|Engineer|Designer|Analyst|Consultant|Specialist|Coordinator|Assistant|Intern)/gi;
-        while ((match = jobTitlePattern.exec(text)) !== null) {
-            const name = this.cleanName(match[1]);
-            if (name && this.isValidName(name)) {
-                names.add(name);
-            }
-        }
-        
-        // Look for names in contact sections
-        const contactPattern = /(?:contact|about|team|staff|member)[\s\S]*?([A-Z][a-z]+\s+[A-Z][a-z]+)/gi;
-        while ((match = contactPattern.exec(text)) !== null) {
-            const name = this.cleanName(match[1]);
-            if (name && this.isValidName(name)) {
-                names.add(name);
+        // Look for names near email addresses, near job titles and in contact sections
+        [nearEmail, nearRole, inSection].forEach(pattern => {
+            for (const match of text.normalize('NFC').matchAll(pattern)) {
+                const name = this.trimNameStopwords(this.cleanName(match[1]), locale);
+                if (name && this.isValidName(name, language)) {
+                    names.add(name);
+                }
             }
-        }
+        });
         
         return Array.from(names);
     }
+
+    // Drop navigation words, titles and honorifics a match picked up at either end:
+    // "Kontakt dr Jan Kowalski Prezes" -> "Jan Kowalski"
+    trimNameStopwords(name, locale) {
+        const isNoise = (word) => locale.stopwords.has(word.toLowerCase()) || locale.roleWordSet.has(word.toLowerCase());
+        const words = name.split(' ');
+        while (words.length > 0 && (isNoise(words[0]) || locale.honorificWords.has(words[0]))) words.shift();
+        while (words.length > 0 && (isNoise(words[words.length - 1]) || locale.particles.has(words[words.length - 1]))) words.pop();
+        return words.join(' ');
+    }
     
     // Validate if a name is likely to be a real person's name
-    isValidName(name) {
+    isValidName(name, language = 'en') {
+        const locale = getNameLocale(language);
+        const lowerName = name.toLowerCase();
+
         // Remove common false positives
-        const falsePositives = [
-            'About Us', 'Contact Us', 'Privacy Policy', 'Terms of Service',
-            'Home Page', 'Main Menu', 'Navigation', 'Footer', 'Header',
-            'Search Results', 'Page Title', 'Meta Description', 'Alt Text',
-            'Click Here', 'Read More', 'Learn More', 'Get Started',
-            'Sign Up', 'Log In', 'Subscribe', 'Newsletter', 'Blog Post',
-            'Product Name', 'Company Name', 'Brand Name', 'Service Name',
-            'About Our', 'Our Services', 'Contact Information', 'Team Members',
-            'Leadership Team', 'Navigation Menu', 'Main Menu', 'Side Menu',
-            'Top Menu', 'Bottom Menu', 'Footer Menu', 'Header Menu'
-        ];
-        
-        if (falsePositives.some(fp => name.toLowerCase().includes(fp.toLowerCase()))) {
+        if (locale.falsePositives.some(fp => lowerName.includes(fp))) {
             return false;
         }
         
-        // Check for reasonable name length (2-4 words)
+        // Titles and particles ("dr", "van der") don't count as name words
         const words = name.split(' ').filter(word => word.length > 0);
-        if (words.length < 2 || words.length > 4) {
+        const nameWords = words.filter(word => !locale.honorificWords.has(word) && !locale.particles.has(word));
+
+        // Check for reasonable name length (2-4 words)
+        if (nameWords.length < 2 || nameWords.length > 4) {
             return false;
         }
         
-        // Check that each word starts with capital letter
-        if (!words.every(word => /^[A-Z]/.test(word))) {
+        // Check that each word starts with a capital letter (after an elided particle like d')
+        if (!nameWords.every(word => /^(?:d['’])?\p{Lu}/u.test(word))) {
             return false;
         }
         
         // Check for reasonable word lengths
-        if (!words.every(word => word.length >= 2 && word.length <= 20)) {
+        if (!nameWords.every(word => word.length >= 2 && word.length <= 20)) {
             return false;
         }
         
-        // Additional checks for navigation/common words
-        const navigationWords = ['About', 'Contact', 'Home', 'Menu', 'Navigation', 'Services', 'Products', 'Company', 'Team', 'Our', 'The', 'And', 'Or', 'But', 'For', 'With', 'From', 'To', 'In', 'On', 'At', 'By', 'Of', 'A', 'An', 'The'];
-        if (words.some(word => navigationWords.includes(word))) {
+        // Additional checks for navigation/common words and job titles in the page's language
+        if (nameWords.some(word => locale.stopwords.has(word.toLowerCase()) || locale.roleWordSet.has(word.toLowerCase()))) {
             return false;
         }
         
         return true;
     }
 
-    // Social media patterns
-    getSocialMediaPatterns() {
-        return {
-            linkedin: /(?:linkedin\.com\/in\/|linkedin\.com\/company\/)[a-zA-Z0-9\-_]+/g,
-            twitter: /(?:twitter\.com\/|x\.com\/)[a-zA-Z0-9_]+/g,
-            facebook: /(?:facebook\.com\/|fb\.com\/)[a-zA-Z0-9.]+/g,
-            instagram: /instagram\.com\/[a-zA-Z0-9._]+/g,
-            youtube: /(?:youtube\.com\/channel\/|youtube\.com\/c\/|youtube\.com\/user\/)[a-zA-Z0-9\-_]+/g
-        };
+    // Social platforms profiles are recognized on: custom definitions, then the defaults
+    getSocialPlatforms() {
+        return this.socialPlatforms;
     }
 
-    // Address patterns
+    // Address patterns of the active recognizers
     getAddressPatterns() {
-        return [
-            // Street address: 123 Main St, City, State ZIP
-            /\d+\s+[A-Za-z\s]+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Court|Ct|Place|Pl|Way|Terrace|Ter|Circle|Cir),?\s+[A-Za-z\s]+,?\s+[A-Z]{2}\s+\d{5}(?:-\d{4})?/g,
-            // P.O. Box: P.O. Box 123, City, State ZIP
-            /P\.?O\.?\s*Box\s+\d+,?\s+[A-Za-z\s]+,?\s+[A-Z]{2}\s+\d{5}(?:-\d{4})?/g
-        ];
+        return this.addressRecognizers.map(recognizer => recognizer.pattern);
     }
 
-    // Clean and validate email addresses
+    // Clean and validate email addresses. The domain must end in a Public Suffix List TLD and comes back
+    // in its Unicode form, so punycode and Unicode spellings of an IDN address are the same email
     cleanEmail(email) {
         // Remove common obfuscation patterns
         let cleaned = email
@@ -201,47 +302,99 @@ class EmailScraper {
             .replace(/\(at\)/g, '@')
             .replace(/\(dot\)/g, '.')
             .replace(/\s+/g, '')
-            .toLowerCase()
             .trim();
 
-        // Remove specific problematic patterns that are clearly not part of valid emails
-        // This handles cases like "help@mysite.ai.26.sms" -> "help@mysite.ai"
-        
-        // Pattern 1: Remove .number.letters at the end (like .26.sms)
-        cleaned = cleaned.replace(/\.\d+\.\w+$/, '');
-        
-        // Pattern 2: Remove .letters.letters at the end if the second part is short (like .com.extra)
-        cleaned = cleaned.replace(/\.\w+\.\w+$/, (match) => {
-            const parts = match.split('.');
-            if (parts[2] && parts[2].length <= 4) {
-                return '.' + parts[1]; // Keep only the first part
+        // mailto: links percent-encode IDN domains
+        if (/%[0-9a-f]{2}/i.test(cleaned)) {
+            try {
+                cleaned = decodeURIComponent(cleaned);
+            } catch (error) {
+                // Keep the raw text; validation below decides
             }
-            return match; // Keep original if it might be valid
-        });
-        
-        // Pattern 3: Remove trailing .letters if preceded by a valid TLD
-        const validTLDs = ['com', 'org', 'net', 'edu', 'gov', 'mil', 'int', 'ai', 'io', 'co', 'uk', 'us', 'ca', 'au', 'de', 'fr', 'jp', 'cn', 'in', 'br', 'ru', 'it', 'nl', 'se', 'no', 'dk', 'fi', 'ie', 'at', 'ch', 'pl', 'pt', 'es', 'cz', 'hu', 'ro', 'bg', 'hr', 'rs', 'ba', 'si', 'mk', 'me', 'al', 'ad', 'li', 'mc', 'sm', 'va', 'mt', 'cy', 'gr', 'ee', 'lv', 'lt', 'lu', 'sk'];
-        
-        const domainMatch = cleaned.match(/@([a-zA-Z0-9.-]+)$/);
-        if (domainMatch) {
-            const domain = domainMatch[1];
-            const domainParts = domain.split('.');
-            
-            if (domainParts.length > 2) {
-                const lastPart = domainParts[domainParts.length - 1];
-                const secondLastPart = domainParts[domainParts.length - 2];
-                
-                // If the second-to-last part is a valid TLD and the last part is short, remove the last part
-                if (validTLDs.includes(secondLastPart.toLowerCase()) && lastPart.length <= 4) {
-                    const newDomain = domainParts.slice(0, -1).join('.');
-                    cleaned = cleaned.replace(domain, newDomain);
-                }
+        }
+
+        const at = cleaned.lastIndexOf('@');
+        if (at < 1) return null;
+
+        const local = cleaned.slice(0, at).toLowerCase();
+        const domain = this.trimRunOnDomain(cleaned.slice(at + 1).replace(/^\.+|[.-]+$/g, ''));
+        const asciiDomain = domain ? toASCIIDomain(domain) : null;
+        if (!asciiDomain || !/^[a-z0-9._%+-]+$/.test(local)) return null;
+
+        return `${local}@${toUnicodeDomain(asciiDomain)}`;
+    }
+
+    // Cut text that ran into the end of an address: "firma.plKontakt", "firma.pl.Email", "mysite.ai.26.sms".
+    // A domain whose TLD is known is kept whole ("dept.university.ac.uk", "firma.com.pl") unless a
+    // capitalized word or a number follows a TLD in an all-lowercase domain; returns the lowercased domain or null
+    trimRunOnDomain(domain) {
+        let labels = domain.split('.').filter(Boolean);
+        if (labels.length < 2) return null;
+
+        for (let i = 1; i < labels.length; i++) {
+            if (labels.slice(0, i).some(previous => previous !== previous.toLowerCase())) break;
+
+            // "pl" + "Kontakt" glued together, or a capitalized or numeric label after a TLD ("pl.Email", "ai.26.sms")
+            const glued = labels[i].match(/^(\p{Ll}{2,})\p{Lu}/u);
+            if (glued && isKnownTld(glued[1])) {
+                labels = [...labels.slice(0, i), glued[1]];
+                break;
+            }
+            if (i >= 2 && /^(?:\p{Lu}\p{Ll}|\d+$)/u.test(labels[i]) && isKnownTld(labels[i - 1])) {
+                labels = labels.slice(0, i);
+                break;
             }
         }
 
-        // Basic email validation with stricter domain validation
-        const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-        return emailRegex.test(cleaned) ? cleaned : null;
+        labels = labels.map(label => label.toLowerCase());
+        const last = labels[labels.length - 1];
+        if (isKnownTld(last)) return labels.join('.');
+
+        // Trailing labels after the last known TLD ("ai.extra.suffix")
+        let backedOff = null;
+        for (let end = labels.length - 1; end >= 2 && !backedOff; end--) {
+            if (isKnownTld(labels[end - 1])) backedOff = labels.slice(0, end).join('.');
+        }
+
+        // A word glued onto the TLD ("plkontakt"): the longest known TLD the last label starts with.
+        // Preferred over backing off only when it completes a listed suffix ("com.plkontakt" -> "com.pl")
+        for (let length = last.length - MIN_RUN_ON_WORD; length >= 2; length--) {
+            if (!/^\p{L}+$/u.test(last.slice(length)) || !isKnownTld(last.slice(0, length))) continue;
+
+            const glued = [...labels.slice(0, -1), last.slice(0, length)].join('.');
+            if (!backedOff || (getPublicSuffix(glued) || '').includes('.')) return glued;
+            break;
+        }
+        return backedOff;
+    }
+
+    // Why a cleaned candidate is not a real mailbox ({ reason, detail }), or null to keep it
+    checkEmailCandidate(email) {
+        return checkEmailCandidate(email);
+    }
+
+    // Remember which emails share a contact card or markup entity on a page (groups: arrays of emails)
+    recordEmailBlocks(pageUrl, groups) {
+        groups.filter(group => group.length > 1).forEach((group, index) => {
+            group.forEach(email => {
+                if (!this.emailBlocks.has(email)) this.emailBlocks.set(email, new Set());
+                this.emailBlocks.get(email).add(`${pageUrl}#${index}`);
+            });
+        });
+    }
+
+    // Remember a rejected candidate for the debug section of the result
+    recordRejectedEmail(occurrence, rejection, pageUrl) {
+        const { email, snippet, url = pageUrl } = occurrence;
+        if (!this.rejectedEmails.has(email)) {
+            if (this.rejectedEmails.size >= MAX_REJECTED_EMAILS) return;
+            this.rejectedEmails.set(email, { email, ...rejection, snippet, urls: [] });
+        }
+
+        const rejected = this.rejectedEmails.get(email);
+        if (!rejected.urls.includes(url) && rejected.urls.length < MAX_OCCURRENCES_PER_EMAIL) {
+            rejected.urls.push(url);
+        }
     }
 
     // Extract candidate keywords from the page
@@ -279,9 +432,8 @@ class EmailScraper {
         const localPart = email.split('@')[0];
         if (!localPart) return null;
         
-        // Skip generic email addresses
-        const genericEmails = ['admin', 'info', 'contact', 'sales', 'support', 'help', 'noreply', 'no-reply', 'webmaster', 'postmaster', 'root', 'test', 'demo', 'example'];
-        if (genericEmails.includes(localPart.toLowerCase())) {
+        // Role and system addresses (sales@, noreply@) don't name anyone
+        if (classifyEmail(email).type !== 'personal') {
             return null;
         }
         
@@ -350,67 +502,17 @@ class EmailScraper {
         }
 
         try {
-            const openRouterResponse = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.options.openRouterApiKey}`,
-                    'Content-Type': 'application/json',
-                    'HTTP-Referer': 'https://email-scraper-dashboard.com',
-                    'X-Title': 'Email Scraper AI Categorization'
-                },
-                body: JSON.stringify({
-                    model: 'google/gemini-flash-1.5',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: `You are an AI assistant that processes contact and business data. 
-                            Given the provided data, return a JSON object with these fields:
-                            {
-                                "names": ["extracted or inferred person names"],
-                                "keywords": ["20-30 most relevant keywords"],
-                                "industries": ["inferred industries"],
-                                "seniority": ["junior", "mid", "senior", "executive"],
-                                "departments": ["inferred departments"],
-                                "confidence": 0.95
-                            }
-                            
-                            Rules:
-                            - Extract names from email addresses, job titles, or other context
-                            - Filter keywords to remove generic/navigation words
-                            - Infer industries from job titles and company names
-                            - Assign seniority levels based on job titles
-                            - Return only valid JSON, no markdown`
-                        },
-                        {
-                            role: 'user',
-                            content: `Process this contact data: ${JSON.stringify(data)}`
-                        }
-                    ],
-                    max_tokens: 300,
-                    temperature: 0.1
-                })
-            });
-
-            if (!openRouterResponse.ok) {
-                console.warn('AI categorization failed, using original data');
-                return data;
-            }
-
-            const aiResult = await openRouterResponse.json();
-            const aiContent = aiResult.choices?.[0]?.message?.content;
+            const messages = [
+                { role: 'system', content: this.options.aiSystemPrompt },
+                { role: 'user', content: renderPrompt(this.options.aiPromptTemplate, data) }
+            ];
+            const aiContent = await this.aiProvider.complete(messages, { data });
             if (!aiContent) {
                 return data;
             }
             
             try {
-                let cleanContent = aiContent.trim();
-                if (cleanContent.startsWith('```json')) {
-                    cleanContent = cleanContent.replace(/^```json\n/, '').replace(/\n```$/, '');
-                } else if (cleanContent.startsWith('```')) {
-                    cleanContent = cleanContent.replace(/^```\n/, '').replace(/\n```$/, '');
-                }
-                
-                const aiData = JSON.parse(cleanContent);
+                const aiData = parseJsonContent(aiContent);
                 const enhancedData = { ...data };
                 
                 // Merge AI-generated names
@@ -443,7 +545,7 @@ class EmailScraper {
 
     // Clean name
     cleanName(name) {
-        return name.trim().replace(/\s+/g, ' ');
+        return name.trim().replace(/^["'„“(\[]+|["'“”)\]]+$/g, '').replace(/\s+/g, ' ');
     }
 
     // Extract emails from text content
@@ -456,7 +558,7 @@ class EmailScraper {
             if (matches) {
                 matches.forEach(match => {
                     const cleaned = this.cleanEmail(match);
-                    if (cleaned) {
+                    if (cleaned && !this.checkEmailCandidate(cleaned)) {
                         emails.add(cleaned);
                     }
                 });
@@ -466,48 +568,298 @@ class EmailScraper {
         return Array.from(emails);
     }
 
-    // Extract names from text content using smart context analysis
-    extractNamesFromText(text) {
-        return this.extractNamesWithContext(text);
+    // Find every email match in text with its position, for provenance snippets. Matches cleanEmail
+    // can't turn into an address are pushed to `uncleaned` (when given) with the reason they were dropped
+    findEmailOccurrences(text, uncleaned = null) {
+        const occurrences = [];
+        this.getEmailPatterns().forEach(pattern => {
+            for (const match of text.matchAll(pattern)) {
+                const cleaned = this.cleanEmail(match[0]);
+                if (cleaned) {
+                    occurrences.push({ email: cleaned, index: match.index, length: match[0].length });
+                } else if (uncleaned) {
+                    const email = match[0].replace(/\s+/g, '').toLowerCase();
+                    uncleaned.push({ email, index: match.index, length: match[0].length, rejection: this.checkUncleanedEmail(email) });
+                }
+            }
+        });
+        return occurrences;
     }
 
-    // Extract social media profiles from text content
-    extractSocialMediaFromText(text) {
-        const socialMedia = {};
-        const patterns = this.getSocialMediaPatterns();
+    // Why an address-shaped match failed cleanEmail: the filter's reason when it has one ("logo@2x.png"
+    // ends in a file extension), else the domain has no known TLD
+    checkUncleanedEmail(email) {
+        return this.checkEmailCandidate(email) || { reason: 'unknown_tld', detail: `${email.split('@').pop()} does not end in a known TLD` };
+    }
 
-        Object.keys(patterns).forEach(platform => {
-            const matches = text.match(patterns[platform]);
-            if (matches) {
-                socialMedia[platform] = [...new Set(matches)];
+    // Short whitespace-normalized excerpt around a match
+    getTextSnippet(text, index, length, radius = SNIPPET_RADIUS) {
+        const start = Math.max(0, index - radius);
+        const end = Math.min(text.length, index + length + radius);
+        const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+        return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    }
+
+    // Text of the element (or its parent, for bare links/icons) as a snippet
+    getElementSnippet($, el) {
+        const limit = SNIPPET_RADIUS * 2;
+        let text = this.getSpacedText($(el));
+        if (text.length < 20) {
+            // A small parent (label + link) adds context; a page-sized one only adds noise. JSON-LD is left out
+            const parentText = this.getSpacedText($(el).parent());
+            if (parentText && parentText.length <= limit * 2) text = parentText;
+        }
+        return text.length > limit ? `${text.slice(0, limit)}…` : text;
+    }
+
+    // Add a page's email occurrences to the crawl-wide provenance record.
+    // Occurrences from linked files (vCards, PDFs) carry their own url, and PDF ones a page number
+    recordEmailOccurrences(pageUrl, occurrences) {
+        const foundAt = new Date().toISOString();
+
+        occurrences.forEach(({ email, method, snippet, url = pageUrl, page }) => {
+            if (!this.emailSources.has(email)) {
+                this.emailSources.set(email, { firstSeen: foundAt, lastSeen: foundAt, occurrences: [] });
+            }
+
+            const source = this.emailSources.get(email);
+            source.lastSeen = foundAt;
+
+            const isKnown = source.occurrences.some(existing =>
+                existing.url === url && existing.method === method && existing.snippet === snippet && existing.page === page
+            );
+            if (!isKnown && source.occurrences.length < MAX_OCCURRENCES_PER_EMAIL) {
+                source.occurrences.push(page === undefined ? { url, method, snippet, foundAt } : { url, page, method, snippet, foundAt });
             }
         });
+    }
+
+    // Extract names from text content using smart context analysis
+    extractNamesFromText(text, language = 'en') {
+        return this.extractNamesWithContext(text, language);
+    }
 
-        return socialMedia;
+    // Extract social media profiles from text content
+    // Profiles as { platform: [{ handle, url, type }] }; defaultType applies where the URL doesn't tell person from company
+    extractSocialMediaFromText(text, defaultType = 'unknown') {
+        return extractSocialProfiles(text, this.getSocialPlatforms(), defaultType);
     }
 
-    // Extract addresses from text content
+    // Extract addresses from text content as { raw, country, components }
     extractAddressesFromText(text) {
-        const addresses = new Set();
-        const patterns = this.getAddressPatterns();
+        return recognizeAddresses(text, this.addressRecognizers);
+    }
 
-        patterns.forEach(pattern => {
-            const matches = text.match(pattern);
-            if (matches) {
-                matches.forEach(match => {
-                    addresses.add(match.trim());
+    // Extract job titles from a piece of text
+    extractJobTitles(text) {
+        const matches = text.match(JOB_TITLE_PATTERN) || [];
+        return [...new Set(matches.map(title => title.trim()))];
+    }
+
+    // Text of an element with a space between text nodes, so "Jane Doe" and "CEO" in sibling tags stay apart.
+    // JSON-LD blocks are left out; extractStructuredData reads them
+    getSpacedText(node) {
+        const parts = [];
+        const walk = (children) => {
+            children.forEach(child => {
+                if (child.type === 'text') {
+                    parts.push(child.data);
+                } else if (child.name === 'script' && child.attribs && child.attribs.type === 'application/ld+json') {
+                    return;
+                } else if (child.children) {
+                    walk(child.children);
+                }
+            });
+        };
+        walk(node.get());
+        return parts.join(' ').replace(/\s+/g, ' ').trim();
+    }
+
+    // Distinct emails inside an element: text, mailto links and data attributes
+    findEmailsInElement($, node) {
+        const emails = new Set(this.findEmailOccurrences(this.getSpacedText(node)).map(occurrence => occurrence.email));
+        node.find('a[href^="mailto:"]').addBack('a[href^="mailto:"]').each((i, el) => {
+            const cleaned = this.cleanEmail($(el).attr('href').replace('mailto:', '').split('?')[0]);
+            if (cleaned) emails.add(cleaned);
+        });
+        node.find('[data-email], [data-mail], [data-contact]').addBack('[data-email], [data-mail], [data-contact]').each((i, el) => {
+            const cleaned = this.cleanEmail($(el).attr('data-email') || $(el).attr('data-mail') || $(el).attr('data-contact') || '');
+            if (cleaned) emails.add(cleaned);
+        });
+        return new Set([...emails].filter(email => !this.checkEmailCandidate(email)));
+    }
+
+    // Elements each email appears in, keyed by email
+    locateEmailElements($) {
+        const located = new Map();
+        const add = (email, el) => {
+            if (this.checkEmailCandidate(email)) return;
+            if (!located.has(email)) located.set(email, []);
+            located.get(email).push(el);
+        };
+
+        $('a[href^="mailto:"]').each((i, el) => {
+            const cleaned = this.cleanEmail($(el).attr('href').replace('mailto:', '').split('?')[0]);
+            if (cleaned) add(cleaned, el);
+        });
+        $('[data-email], [data-mail], [data-contact]').each((i, el) => {
+            const cleaned = this.cleanEmail($(el).attr('data-email') || $(el).attr('data-mail') || $(el).attr('data-contact') || '');
+            if (cleaned) add(cleaned, el);
+        });
+
+        const walk = (children) => {
+            children.forEach(child => {
+                if (child.type === 'text') {
+                    this.findEmailOccurrences(child.data).forEach(({ email }) => add(email, child.parent));
+                } else if (child.children && child.name !== 'script' && child.name !== 'style') {
+                    walk(child.children);
+                }
+            });
+        };
+        walk($('body').get());
+
+        return located;
+    }
+
+    // Largest ancestor of an email's element that holds no other email: the contact's card, row or list item
+    findContactContainer($, el) {
+        let container = null;
+        let node = $(el);
+
+        while (node.length && node[0].type === 'tag' && !node.is('body, html')) {
+            if (this.getSpacedText(node).length > MAX_CONTACT_BLOCK_TEXT) break;
+            if (this.findEmailsInElement($, node).size > 1) break;
+            container = node;
+            node = node.parent();
+        }
+
+        return container;
+    }
+
+    // Short CSS-like label for a container, e.g. "li.team-member"
+    describeContainer(node) {
+        const el = node[0];
+        const className = (el.attribs && el.attribs.class || '').trim().split(/\s+/)[0];
+        return className ? `${el.name}.${className}` : el.name;
+    }
+
+    // Names, job titles, companies, addresses and social links found in the same DOM block as each email
+    // sharedElements, when given, collects the element around each container that lists other emails
+    // too, like a card with a personal and a direct address (email -> [element])
+    extractContactBlocks($, language = 'en', sharedElements = null) {
+        const blocks = new Map();
+
+        this.locateEmailElements($).forEach((elements, email) => {
+            const seen = new Set();
+            elements.forEach(el => {
+                const container = this.findContactContainer($, el);
+                if (!container || seen.has(container[0])) return;
+                seen.add(container[0]);
+
+                const shared = container.parent();
+                if (sharedElements && shared.length && !shared.is('body, html') && this.getSpacedText(shared).length <= MAX_CONTACT_BLOCK_TEXT) {
+                    sharedElements.set(email, [...(sharedElements.get(email) || []), shared[0]]);
+                }
+
+                const text = this.getSpacedText(container);
+                const jobTitles = new Set();
+                container.find(TITLE_SELECTOR).addBack(TITLE_SELECTOR).each((i, titleEl) => {
+                    this.extractJobTitles($(titleEl).text()).forEach(title => jobTitles.add(title));
                 });
-            }
+                if (jobTitles.size === 0 && text.length <= CARD_TEXT_LIMIT) {
+                    this.extractJobTitles(text).forEach(title => jobTitles.add(title));
+                }
+
+                const companies = container.find(COMPANY_SELECTOR).addBack(COMPANY_SELECTOR)
+                    .map((i, companyEl) => this.getSpacedText($(companyEl)))
+                    .get()
+                    .filter(companyText => companyText.length <= COMPANY_TEXT_LIMIT && !companyText.includes('@'));
+
+                // Profiles in a contact's own block are the person's unless the URL says otherwise
+                let socialMedia = this.extractSocialMediaFromText(text, 'person');
+                container.find('a[href]').each((i, link) => {
+                    socialMedia = mergeSocialMedia(socialMedia, this.extractSocialMediaFromText($(link).attr('href'), 'person'));
+                });
+
+                if (!blocks.has(email)) {
+                    blocks.set(email, { names: [], jobTitles: [], companies: [], addresses: [], socialMedia: {}, containers: [] });
+                }
+                const block = blocks.get(email);
+                // "Piotr Zielinski Accountant" is a name running into the title next to it
+                const titleWords = new Set([...jobTitles].flatMap(title => title.toLowerCase().split(/\s+/)));
+                const names = this.extractNamesWithContext(text, language)
+                    .map(name => name.split(' ').filter(word => !titleWords.has(word.toLowerCase())).join(' '))
+                    .filter(name => this.isValidName(name, language));
+                block.names = [...new Set([...block.names, ...names])];
+                block.jobTitles = [...new Set([...block.jobTitles, ...jobTitles])];
+                block.companies = mergeCompanies(block.companies, companies);
+                block.addresses = mergeAddresses(block.addresses, this.extractAddressesFromText(text));
+                block.socialMedia = mergeSocialMedia(block.socialMedia, socialMedia);
+                block.containers.push(this.describeContainer(container));
+            });
         });
 
-        return Array.from(addresses);
+        return blocks;
+    }
+
+    // Merge schema.org entities describing an email into its personal data, recording them under structuredData
+    mergeStructuredData(entry, entities, pageUrl) {
+        if (entities.length === 0) return;
+
+        if (!entry.structuredData) {
+            entry.structuredData = { sources: [], types: [], names: [], jobTitles: [], companies: [], addresses: [], socialMedia: {}, telephones: [], contactTypes: [] };
+        }
+        const structured = entry.structuredData;
+
+        entities.forEach(entity => {
+            const names = entity.type === 'Person' && entity.name ? [entity.name] : [];
+            const addresses = entity.addresses.map(address => {
+                if (address.country) return address;
+                const recognized = this.extractAddressesFromText(address.raw)[0];
+                return { ...address, country: recognized ? recognized.country : null };
+            });
+            const companies = entity.organization ? [entity.organization] : [];
+            const socialMedia = this.extractSocialMediaFromText(entity.sameAs.join(' '), entity.type === 'Person' ? 'person' : 'company');
+
+            [entry, structured].forEach(target => {
+                target.names = [...new Set([...target.names, ...names])];
+                target.jobTitles = [...new Set([...target.jobTitles, ...entity.jobTitles])];
+                target.companies = mergeCompanies(target.companies, companies);
+                target.addresses = mergeAddresses(target.addresses, addresses);
+                target.socialMedia = mergeSocialMedia(target.socialMedia, socialMedia);
+            });
+            structured.sources = [...new Set([...structured.sources, entity.source])];
+            structured.types = [...new Set([...structured.types, ...entity.types])];
+            structured.telephones = [...new Set([...structured.telephones, ...entity.telephones])];
+            structured.contactTypes = [...new Set([...structured.contactTypes, ...entity.contactTypes])];
+        });
+
+        entry.associationConfidence = 'high';
+        if (entry.associations.length < MAX_OCCURRENCES_PER_EMAIL) {
+            entry.associations.push({
+                url: pageUrl,
+                method: 'structured-data',
+                confidence: 'high',
+                types: [...new Set(entities.flatMap(entity => entity.types))]
+            });
+        }
+    }
+
+    // Names, job titles, profiles and addresses in plain text (PDF pages)
+    extractPersonalDataFromText(text, language = 'en') {
+        return {
+            names: this.extractNamesWithContext(text, language),
+            jobTitles: this.extractJobTitles(text),
+            socialMedia: this.extractSocialMediaFromText(text),
+            addresses: this.extractAddressesFromText(text)
+        };
     }
 
     // Extract personal data from HTML elements
-    extractPersonalDataFromHTML($) {
+    extractPersonalDataFromHTML($, language = 'en', structuredEntities) {
         const personalData = {
             keywords: new Set(),
-            addresses: new Set(),
+            addresses: [],
             socialMedia: {},
             jobTitles: new Set(),
             companies: new Set()
@@ -515,78 +867,194 @@ class EmailScraper {
 
         // Extract from name elements with enhanced context
         $('[class*="name"], [class*="author"], [class*="person"], [id*="name"], [id*="author"], [id*="person"], [class*="contact"], [class*="team"], [class*="staff"]').each((i, el) => {
-            const text = $(el).text();
-            const names = this.extractNamesWithContext(text);
+            const text = this.getSpacedText($(el));
+            const names = this.extractNamesWithContext(text, language);
             names.forEach(name => personalData.keywords.add(name));
         });
 
         // Extract from address elements
-        $('[class*="address"], [class*="location"], [id*="address"], [id*="location"]').each((i, el) => {
-            const text = $(el).text();
-            const addresses = this.extractAddressesFromText(text);
-            addresses.forEach(address => personalData.addresses.add(address));
+        $('address, [class*="address"], [class*="location"], [id*="address"], [id*="location"]').each((i, el) => {
+            const text = this.getSpacedText($(el));
+            personalData.addresses = mergeAddresses(personalData.addresses, this.extractAddressesFromText(text));
         });
 
-        // Extract from social media links
-        $('a[href*="linkedin.com"], a[href*="twitter.com"], a[href*="facebook.com"], a[href*="instagram.com"], a[href*="youtube.com"]').each((i, el) => {
-            const href = $(el).attr('href');
-            const socialMedia = this.extractSocialMediaFromText(href);
-            Object.keys(socialMedia).forEach(platform => {
-                if (!personalData.socialMedia[platform]) {
-                    personalData.socialMedia[platform] = new Set();
-                }
-                socialMedia[platform].forEach(profile => personalData.socialMedia[platform].add(profile));
-            });
+        // Extract from social media links; the ones in the header, footer or a social bar are the site's own
+        $('a[href]').each((i, el) => {
+            const inSiteChrome = $(el).closest('header, footer, nav, [class*="header"], [class*="footer"], [class*="social"]').length > 0;
+            const socialMedia = this.extractSocialMediaFromText($(el).attr('href'), inSiteChrome ? 'company' : 'unknown');
+            personalData.socialMedia = mergeSocialMedia(personalData.socialMedia, socialMedia);
         });
 
         // Extract job titles and companies with enhanced patterns
         $('[class*="title"], [class*="position"], [class*="job"], [class*="company"], [class*="organization"], [class*="role"]').each((i, el) => {
             const text = $(el).text();
-            // Enhanced patterns for job titles and companies
-            const titleMatch = text.match(/\b(CEO|CTO|CFO|COO|VP|Director|Manager|Lead|Senior|Junior|Developer|Engineer|Designer|Analyst|Consultant|Specialist|Coordinator|Assistant|Intern|Founder|Co-founder|President|Executive|Head|Chief|Officer|Coordinator|Supervisor|Team Lead|Project Manager|Product Manager|Marketing Manager|Sales Manager|HR Manager|Operations Manager|Business Analyst|Data Analyst|UX Designer|UI Designer|Frontend|Backend|Full Stack|DevOps|QA|Tester|Architect|Consultant|Advisor|Mentor|Coach|Trainer|Instructor|Professor|Teacher|Lecturer|Researcher|Scientist|Doctor|Physician|Nurse|Therapist|Counselor|Lawyer|Attorney|Accountant|Bookkeeper|Receptionist|Administrator|Secretary|Assistant|Intern|Volunteer|Freelancer|Contractor|Consultant)\b/gi);
-            if (titleMatch) {
-                titleMatch.forEach(title => personalData.jobTitles.add(title.trim()));
-            }
+            this.extractJobTitles(text).forEach(title => personalData.jobTitles.add(title));
         });
 
+        // Company names from Organization markup, og:site_name, the copyright line and the title
+        extractCompanyNames($, structuredEntities).forEach(company => personalData.companies.add(company));
+
         // Convert Sets to Arrays
         return {
             keywords: Array.from(personalData.keywords),
-            addresses: Array.from(personalData.addresses),
-            socialMedia: Object.keys(personalData.socialMedia).reduce((acc, platform) => {
-                acc[platform] = Array.from(personalData.socialMedia[platform]);
-                return acc;
-            }, {}),
+            addresses: personalData.addresses,
+            socialMedia: personalData.socialMedia,
             jobTitles: Array.from(personalData.jobTitles),
             companies: Array.from(personalData.companies)
         };
     }
 
-    // Check robots.txt
-    async checkRobotsTxt(baseUrl) {
-        if (!this.options.respectRobots) return true;
+    // Fetch and parse robots.txt once per host; concurrent callers share the same request
+    getRobots(url) {
+        const parsedUrl = new URLParse(url);
+        const origin = `${parsedUrl.protocol}//${parsedUrl.host}`;
+
+        if (!this.robotsCache.has(origin)) {
+            this.robotsCache.set(origin, this.fetchRobots(origin));
+        }
+        return this.robotsCache.get(origin);
+    }
+
+    // Returns { robots, body } for an origin
+    async fetchRobots(origin) {
+        const robotsUrl = `${origin}/robots.txt`;
 
         try {
-            const parsedUrl = new URLParse(baseUrl);
-            const robotsUrl = `${parsedUrl.protocol}//${parsedUrl.host}/robots.txt`;
+            const response = await axios.get(robotsUrl, {
+                timeout: 5000,
+                responseType: 'text',
+                validateStatus: () => true,
+                headers: { ...this.getRequestHeaders(), 'User-Agent': this.options.userAgent }
+            });
 
-            if (this.robotsCache.has(robotsUrl)) {
-                return this.robotsCache.get(robotsUrl);
+            // A server error means the rules are unknown - treat the whole host as off limits
+            if (response.status >= 500) {
+                console.log(`robots.txt for ${origin} returned ${response.status}, treating host as disallowed`);
+                return { robots: robotsParser(robotsUrl, 'User-agent: *\nDisallow: /'), body: '' };
             }
 
-            const response = await axios.get(robotsUrl, { timeout: 5000 });
-            const robots = robotsParser(robotsUrl, response.data);
-            const canFetch = robots.isAllowed(baseUrl, this.options.userAgent);
-            
-            this.robotsCache.set(robotsUrl, canFetch);
-            return canFetch;
+            // Missing or forbidden robots.txt places no restrictions
+            const body = response.status < 400 && typeof response.data === 'string' ? response.data : '';
+            return { robots: robotsParser(robotsUrl, body), body };
         } catch (error) {
-            console.log(`Could not fetch robots.txt for ${baseUrl}: ${error.message}`);
-            return true; // Assume allowed if robots.txt is not accessible
+            console.log(`Could not fetch robots.txt for ${origin}: ${error.message}`);
+            return { robots: robotsParser(robotsUrl, ''), body: '' }; // Assume allowed if robots.txt is not accessible
+        }
+    }
+
+    // Check robots.txt rules for this specific URL
+    async checkRobotsTxt(url) {
+        if (!this.options.respectRobots) return true;
+
+        const { robots } = await this.getRobots(url);
+        return robots.isAllowed(url, this.options.robotsProductToken) !== false;
+    }
+
+    // Crawl-delay for the URL's host in milliseconds (0 when none applies)
+    async getCrawlDelay(url) {
+        if (!this.options.respectRobots) return 0;
+
+        const { robots } = await this.getRobots(url);
+        const seconds = robots.getCrawlDelay(this.options.robotsProductToken);
+        return seconds ? seconds * 1000 : 0;
+    }
+
+    // Space requests to one host by its Crawl-delay (or a rate-limit penalty) when that is longer than the configured delay.
+    // The slot is reserved synchronously, so parallel workers queue up behind each other.
+    async throttleHost(url) {
+        const host = new URLParse(url).host;
+        const crawlDelay = await this.getCrawlDelay(url);
+        const interval = Math.max(crawlDelay, this.hostPenalties.get(host) || 0);
+        if (interval <= this.options.delay) return;
+
+        const now = Date.now();
+        const slot = Math.max(now, this.hostSchedule.get(host) || 0);
+        this.hostSchedule.set(host, slot + interval);
+
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    }
+
+    // Slow a host down after a 429/503: double its request spacing, or use Retry-After if the server sent one
+    slowDownHost(url, retryAfterMs) {
+        const host = new URLParse(url).host;
+        const current = this.hostPenalties.get(host) || Math.max(this.options.delay, 1000);
+        const penalty = Math.min(MAX_HOST_PENALTY, Math.max(current * 2, retryAfterMs || 0));
+
+        this.hostPenalties.set(host, penalty);
+        console.log(`Slowing down ${host}: ${penalty}ms between requests`);
+    }
+
+    // Let a slowed-down host recover: halve its penalty after each successful fetch
+    relaxHost(url) {
+        const host = new URLParse(url).host;
+        const penalty = this.hostPenalties.get(host);
+        if (!penalty) return;
+
+        if (penalty / 2 <= Math.max(this.options.delay, 1000)) {
+            this.hostPenalties.delete(host);
+        } else {
+            this.hostPenalties.set(host, penalty / 2);
         }
     }
 
-    // Initialize browser
+    // Fetch a page, retrying transient failures with exponential backoff.
+    // Returns { response, failure, attempts }; failure is null on success
+    async fetchWithRetry(url, slot = 0) {
+        for (let attempt = 1; ; attempt++) {
+            let response = null;
+            let failure;
+
+            try {
+                response = await this.fetchPageContent(url, slot);
+                failure = classifyHttpStatus(response.status);
+            } catch (error) {
+                failure = classifyFetchError(error);
+            }
+
+            if (!failure) {
+                this.relaxHost(url);
+                return { response, failure: null, attempts: attempt };
+            }
+
+            const retryAfterMs = response ? response.retryAfterMs : null;
+            if (response && (response.status === 429 || response.status === 503)) {
+                this.slowDownHost(url, retryAfterMs);
+            }
+
+            // Only a page's final failure is counted; retried ones go to retriesByCategory
+            if (!failure.transient || attempt > this.options.maxRetries) {
+                const bucket = failure.transient ? this.errorCounts.transient : this.errorCounts.permanent;
+                bucket[failure.category] = (bucket[failure.category] || 0) + 1;
+                return { response, failure, attempts: attempt };
+            }
+
+            const backoff = Math.min(MAX_RETRY_DELAY, Math.max(
+                this.options.retryBaseDelay * 2 ** (attempt - 1) + Math.floor(Math.random() * 250),
+                retryAfterMs || 0
+            ));
+            this.retryCount++;
+            this.retriesByCategory[failure.category] = (this.retriesByCategory[failure.category] || 0) + 1;
+
+            console.log(`Retrying ${url} in ${backoff}ms after ${failure.category} (attempt ${attempt + 1}/${this.options.maxRetries + 1})`);
+            if (this.options.onProgress) {
+                this.options.onProgress({
+                    type: 'page_retry',
+                    url,
+                    attempt: attempt + 1,
+                    errorCategory: failure.category,
+                    error: failure.message,
+                    delay: backoff
+                });
+            }
+
+            await new Promise(resolve => setTimeout(resolve, backoff));
+            await this.throttleHost(url);
+        }
+    }
+
+    // Initialize browser; tabs are opened per worker slot on first use
     async initBrowser() {
         this.browser = await puppeteer.launch({
             headless: this.options.headless,
@@ -600,26 +1068,50 @@ class EmailScraper {
                 '--disable-gpu'
             ]
         });
+    }
 
-        this.page = await this.browser.newPage();
-        await this.page.setUserAgent(this.options.userAgent);
-        await this.page.setViewport({ width: 1920, height: 1080 });
+    // Get the browser tab for a worker slot, launching the browser on first use
+    async getPage(slot = 0) {
+        if (!this.browserLaunch) {
+            this.browserLaunch = this.initBrowser();
+        }
+        await this.browserLaunch;
 
-        // Set extra headers
-        await this.page.setExtraHTTPHeaders({
+        if (!this.pages[slot]) {
+            this.pages[slot] = await this.createPage();
+        }
+        return this.pages[slot];
+    }
+
+    // Headers sent with every page request, by the browser and by plain HTTP fetches
+    getRequestHeaders() {
+        const headers = {
             'Accept-Language': 'en-US,en;q=0.9',
             'Accept-Encoding': 'gzip, deflate, br',
             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
             'DNT': '1',
             'Connection': 'keep-alive',
             'Upgrade-Insecure-Requests': '1'
-        });
+        };
+        if (this.options.contactEmail) {
+            headers['From'] = this.options.contactEmail;
+        }
+        return headers;
+    }
+
+    // Open and configure a browser tab
+    async createPage() {
+        const page = await this.browser.newPage();
+        await page.setUserAgent(this.options.userAgent);
+        await page.setViewport({ width: 1920, height: 1080 });
+
+        // Set extra headers
+        await page.setExtraHTTPHeaders(this.getRequestHeaders());
 
         // Block unnecessary resources for faster loading
-        await this.page.setRequestInterception(true);
-        this.page.on('request', (req) => {
+        await page.setRequestInterception(true);
+        page.on('request', (req) => {
             const resourceType = req.resourceType();
-            const url = req.url();
             
             // Block resources based on options
             if (this.options.skipImages && resourceType === 'image') {
@@ -636,51 +1128,469 @@ class EmailScraper {
                 req.continue();
             }
         });
+
+        return page;
     }
 
-    // Add this helper method
+    // Check a URL against restrictToPath and the crawl scope
     shouldVisitUrl(url) {
+        const reason = this.getScopeViolation(url);
+
+        if (reason && this.options.onProgress) {
+            this.options.onProgress({
+                type: 'url_filtered',
+                url: url,
+                reason
+            });
+        }
+        return !reason;
+    }
+
+    // Returns why a URL is out of scope, or null if it may be visited
+    getScopeViolation(url) {
         if (this.options.restrictToPath && this.options.restrictToPath.length > 0) {
             // More precise matching: URL should start with the restricted path
             // and either be exactly the same or have a '/' after the restricted path
             const restrictedPath = this.options.restrictToPath;
-            const shouldVisit = url === restrictedPath || 
+            const matchesPath = url === restrictedPath || 
                                url.startsWith(restrictedPath + '/') ||
                                url.startsWith(restrictedPath + '?') ||
                                url.startsWith(restrictedPath + '#');
-            
-            if (!shouldVisit && this.options.onProgress) {
-                this.options.onProgress({
-                    type: 'url_filtered',
-                    url: url,
-                    reason: `Does not match restricted path: ${this.options.restrictToPath}`
-                });
+
+            if (!matchesPath) {
+                return `Does not match restricted path: ${this.options.restrictToPath}`;
             }
-            return shouldVisit;
         }
-        return true;
+
+        if (this.scope) {
+            const { allowed, reason } = this.scope.check(url);
+            if (!allowed) return reason;
+        }
+
+        return null;
     }
 
-    // Scrape a single page
-    async scrapePage(url, depth = 0) {
+    // Fetch a page with plain HTTP (no JavaScript execution).
+    // Redirects are followed by hand so the chain can be recorded; non-HTML bodies are never downloaded.
+    async fetchPageHttp(url) {
+        const redirectChain = [];
+        let currentUrl = url;
+
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            // The caller throttles the first request; each redirect target waits for its own host
+            if (hop > 0) await this.throttleHost(currentUrl);
+            const response = await axios.get(currentUrl, {
+                timeout: this.options.timeout,
+                responseType: 'stream',
+                maxRedirects: 0,
+                validateStatus: () => true,
+                headers: {
+                    ...this.getRequestHeaders(),
+                    'User-Agent': this.options.userAgent
+                }
+            });
+
+            const location = response.headers.location;
+            if (response.status >= 300 && response.status < 400 && location) {
+                response.data.destroy();
+                redirectChain.push({ url: currentUrl, status: response.status });
+                currentUrl = new URL(location, currentUrl).href;
+
+                // Don't follow redirects off the site or into paths robots.txt disallows; the caller skips the page
+                if (this.scope && !this.scope.isHostAllowed(currentUrl)) {
+                    return { html: null, finalUrl: currentUrl, status: response.status, contentType: '', redirectChain, fetchedWith: 'http' };
+                }
+                if (!(await this.checkRobotsTxt(currentUrl))) {
+                    return { html: null, finalUrl: currentUrl, status: response.status, contentType: '', redirectChain, fetchedWith: 'http', blockedByRobots: true };
+                }
+                continue;
+            }
+
+            const result = {
+                html: null,
+                finalUrl: currentUrl,
+                status: response.status,
+                contentType: response.headers['content-type'] || '',
+                redirectChain,
+                fetchedWith: 'http',
+                retryAfterMs: parseRetryAfter(response.headers['retry-after'])
+            };
+
+            if (response.status >= 400 || !isHtmlContentType(result.contentType)) {
+                response.data.destroy();
+                return result;
+            }
+
+            result.html = await readStream(response.data, MAX_HTML_BYTES);
+            return result;
+        }
+
+        throw new Error(`Too many redirects (over ${MAX_REDIRECTS})`);
+    }
+
+    // GET a linked file as a stream, following redirects one hop at a time so each target is checked
+    // against the crawl scope and robots.txt. Throws when a hop leaves the scope or is disallowed
+    async fetchLinkedFile(url, accept) {
+        let currentUrl = url;
+
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            await this.throttleHost(currentUrl);
+            const response = await axios.get(currentUrl, {
+                timeout: this.options.timeout,
+                responseType: 'stream',
+                maxRedirects: 0,
+                validateStatus: () => true,
+                headers: {
+                    ...this.getRequestHeaders(),
+                    'Accept': accept,
+                    'User-Agent': this.options.userAgent
+                }
+            });
+
+            const location = response.headers.location;
+            if (response.status < 300 || response.status >= 400 || !location) {
+                return response;
+            }
+
+            response.data.destroy();
+            currentUrl = new URL(location, currentUrl).href;
+            const violation = this.getScopeViolation(currentUrl);
+            if (violation) throw new Error(`Redirected out of the crawl scope to ${currentUrl}: ${violation}`);
+            if (!(await this.checkRobotsTxt(currentUrl))) throw new Error(`Redirect target ${currentUrl} is disallowed by robots.txt`);
+        }
+
+        throw new Error(`Too many redirects (over ${MAX_REDIRECTS})`);
+    }
+
+    // Download and parse one vCard; returns its entities, or [] when it can't be read
+    async fetchVCard(url) {
+        try {
+            const response = await this.fetchLinkedFile(url, 'text/vcard, text/x-vcard;q=0.9, */*;q=0.1');
+
+            // Error pages and soft 404s come back as HTML
+            const contentType = response.headers['content-type'] || '';
+            if (response.status >= 400 || /text\/html/i.test(contentType)) {
+                response.data.destroy();
+                console.warn(`Skipping vCard ${url}: ${response.status} ${contentType}`);
+                return [];
+            }
+
+            return parseVCard(await readStream(response.data, MAX_VCARD_BYTES));
+        } catch (error) {
+            console.warn(`Could not fetch vCard ${url}: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Linked files matching isMatch(href, type) that are in scope, allowed by robots.txt and not in `fetched` yet.
+    // The returned URLs are added to `fetched`
+    async selectLinkedFiles($, pageUrl, isMatch, fetched, limit) {
+        const urls = [];
+        $('a[href]').each((i, el) => {
+            const href = $(el).attr('href');
+            if (!isMatch(href, $(el).attr('type'))) return;
+            try {
+                urls.push(new URL(href, pageUrl).href);
+            } catch (error) {
+                // Ignore malformed links
+            }
+        });
+
+        const selected = [];
+        for (const url of [...new Set(urls)].slice(0, limit)) {
+            const key = canonicalizeUrl(url);
+            if (fetched.has(key) || this.getScopeViolation(url)) continue;
+            fetched.add(key);
+            if (await this.checkRobotsTxt(url)) selected.push(url);
+        }
+        return selected;
+    }
+
+    // vCards linked from a page that haven't been fetched yet. Returns [{ url, entities }]
+    async fetchLinkedVCards($, pageUrl) {
+        const vcards = [];
+        for (const url of await this.selectLinkedFiles($, pageUrl, isVCardLink, this.fetchedVCards, MAX_VCARDS_PER_PAGE)) {
+            const entities = await this.fetchVCard(url);
+            if (entities.length > 0) vcards.push({ url, entities });
+        }
+        return vcards;
+    }
+
+    // Download a PDF and extract its text page by page; returns [] when it can't be read
+    async fetchPdf(url) {
+        try {
+            const response = await this.fetchLinkedFile(url, 'application/pdf, */*;q=0.1');
+
+            const contentType = response.headers['content-type'] || '';
+            const contentLength = parseInt(response.headers['content-length'], 10);
+            if (response.status >= 400 || /text\/html/i.test(contentType) || contentLength > this.options.maxPdfBytes) {
+                response.data.destroy();
+                console.warn(`Skipping PDF ${url}: ${response.status} ${contentType}${contentLength ? `, ${contentLength} bytes` : ''}`);
+                return [];
+            }
+
+            const buffer = await readStream(response.data, this.options.maxPdfBytes, null);
+            return await extractPdfPages(buffer, this.options.maxPdfPages);
+        } catch (error) {
+            console.warn(`Could not read PDF ${url}: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Text of the PDFs linked from a page that haven't been fetched yet. Returns [{ url, page, text }]
+    async fetchLinkedPdfs($, pageUrl) {
+        const pdfPages = [];
+        for (const url of await this.selectLinkedFiles($, pageUrl, isPdfLink, this.fetchedPdfs, MAX_PDFS_PER_PAGE)) {
+            const pages = await this.fetchPdf(url);
+            pages.forEach(({ page, text }) => pdfPages.push({ url, page, text }));
+        }
+        return pdfPages;
+    }
+
+    // Heuristic: does this HTML need a browser to render its content?
+    looksJsRendered(html) {
+        const $ = cheerio.load(html);
+        $('script, style, noscript, template').remove();
+        const bodyText = $('body').text().replace(/\s+/g, ' ').trim();
+
+        if (bodyText.length < 200) return true;
+
+        // Empty single-page-app mount points
+        const spaRoots = ['#root', '#app', '#__next', '#__nuxt', '#___gatsby', '[ng-app]', '[data-reactroot]', 'app-root'];
+        if (spaRoots.some(selector => $(selector).length > 0 && $(selector).text().trim().length === 0)) {
+            return true;
+        }
+
+        return false;
+    }
+
+    // Load a page according to fetchMode.
+    // Returns { html, finalUrl, status, contentType, redirectChain, fetchedWith }; html is null for error or non-HTML responses
+    async fetchPageContent(url, slot = 0) {
+        const mode = this.options.fetchMode;
+
+        if (mode === 'http' || mode === 'auto') {
+            const httpResult = await this.fetchPageHttp(url);
+            if (mode === 'http' || !httpResult.html || !this.looksJsRendered(httpResult.html)) {
+                return httpResult;
+            }
+
+            console.log(`Page looks JS-rendered, switching to browser: ${url}`);
+            if (this.options.onProgress) {
+                this.options.onProgress({ type: 'fetch_escalated', url, from: 'http', to: 'browser' });
+            }
+
+            try {
+                return await this.fetchPageWithBrowser(url, slot);
+            } catch (error) {
+                // Without a working browser the static HTML is still better than nothing
+                console.warn(`Browser fallback failed for ${url}, using HTTP content: ${error.message}`);
+                return httpResult;
+            }
+        }
+
+        return this.fetchPageWithBrowser(url, slot);
+    }
+
+    // Load a page's rendered HTML in the worker's browser tab
+    async fetchPageWithBrowser(url, slot = 0) {
+        const page = await this.getPage(slot);
+
+        // Downloads (PDFs, archives) abort the navigation once their headers are in; keep those headers
+        let navigationResponse = null;
+        const onResponse = (candidate) => {
+            const request = candidate.request();
+            if (request.isNavigationRequest() && request.frame() === page.mainFrame()) navigationResponse = candidate;
+        };
+        page.on('response', onResponse);
+
+        let response;
+        let downloaded = false;
+        try {
+            response = await page.goto(url, {
+                waitUntil: 'domcontentloaded',
+                timeout: this.options.timeout
+            });
+        } catch (error) {
+            if (!/ERR_ABORTED/i.test(error.message) || !navigationResponse) throw error;
+            response = navigationResponse;
+            downloaded = true;
+        } finally {
+            page.off('response', onResponse);
+        }
+
+        const redirectChain = response
+            ? response.request().redirectChain().map(request => ({
+                url: request.url(),
+                status: request.response() ? request.response().status() : null
+            }))
+            : [];
+
+        const result = {
+            html: null,
+            finalUrl: response ? response.url() : page.url(),
+            status: response ? response.status() : null,
+            contentType: response ? (response.headers()['content-type'] || '') : '',
+            redirectChain,
+            fetchedWith: 'browser',
+            retryAfterMs: response ? parseRetryAfter(response.headers()['retry-after']) : null
+        };
+
+        if (downloaded || (result.status && result.status >= 400) || !isHtmlContentType(result.contentType)) {
+            return result;
+        }
+
+        // Wait for content to load (reduced wait time for speed)
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+        result.html = await page.content();
+        return result;
+    }
+
+    // Close a page's log record and count the page as completed
+    finishPageRecord(pageRecord, outcome, extra = {}) {
+        Object.assign(pageRecord, extra, {
+            outcome,
+            durationMs: Date.now() - Date.parse(pageRecord.startedAt)
+        });
+        this.pageLog.push(pageRecord);
+        this.pagesCompleted++;
+        return pageRecord;
+    }
+
+    // Finish a page whose fetch failed for good
+    failPage(pageRecord, failure) {
+        console.error(`Error scraping ${pageRecord.url}: ${failure.message}`);
+        this.failedPages++;
+        this.finishPageRecord(pageRecord, pageRecord.status >= 400 ? 'http_error' : 'error', {
+            error: failure.message,
+            errorCategory: failure.category
+        });
+
+        // Call progress callback for errors
+        if (this.options.onProgress) {
+            this.options.onProgress({
+                type: 'page_error',
+                url: pageRecord.url,
+                error: failure.message,
+                errorCategory: failure.category,
+                transient: failure.transient,
+                page: pageRecord
+            });
+        }
+
+        return { emails: [], links: [], personalData: {} };
+    }
+
+    // Finish a page robots.txt disallows; blockedUrl is the page itself or the redirect target that was disallowed
+    blockPage(pageRecord, blockedUrl) {
+        console.log(`Blocked by robots.txt: ${blockedUrl}`);
+        this.finishPageRecord(pageRecord, 'blocked');
+        if (this.options.onProgress) {
+            this.options.onProgress({
+                type: 'page_blocked',
+                url: pageRecord.url,
+                reason: 'robots.txt',
+                page: pageRecord
+            });
+        }
+        return { emails: [], links: [], personalData: {} };
+    }
+
+    // Finish a page that was fetched but not processed (non-HTML, redirected off site)
+    skipPage(pageRecord, outcome, reason) {
+        console.log(`Skipping ${pageRecord.url}: ${reason}`);
+        this.finishPageRecord(pageRecord, outcome, { reason });
+        if (this.options.onProgress) {
+            this.options.onProgress({
+                type: 'page_skipped',
+                url: pageRecord.url,
+                reason,
+                page: pageRecord
+            });
+        }
+        return { emails: [], links: [], personalData: {} };
+    }
+
+    // Returns 'canonical' or 'content' when the page duplicates a processed one, otherwise records it and returns null
+    checkDuplicatePage(url, $, pageText, finalUrl = url) {
+        if (!this.options.dedupePages) return null;
+
+        const keys = [...new Set([canonicalizeUrl(url), canonicalizeUrl(finalUrl)])];
+        const canonicalHref = $('link[rel="canonical"]').attr('href');
+        if (canonicalHref) {
+            try {
+                const canonicalUrl = new URL(canonicalHref, finalUrl).href;
+                // Only trust canonicals pointing at our own site. Misconfigured sites point every page at the
+                // homepage, so a root canonical only counts on the root itself; other pages fall back to the content hash
+                const isRoot = (href) => {
+                    const { pathname, search } = new URL(href);
+                    return pathname === '/' && !search;
+                };
+                const inScope = !this.scope || this.scope.isHostAllowed(canonicalUrl);
+                if (inScope && (!isRoot(canonicalUrl) || isRoot(finalUrl))) {
+                    keys.push(canonicalizeUrl(canonicalUrl));
+                    this.frontier.markSeen(canonicalUrl);
+                }
+            } catch (error) {
+                // Ignore malformed canonical links
+            }
+        }
+
+        if (keys.some(key => this.processedPageKeys.has(key))) {
+            return 'canonical';
+        }
+
+        const normalizedText = pageText.replace(/\s+/g, ' ').trim();
+        const contentHash = crypto.createHash('sha1').update(normalizedText).digest('hex');
+        if (normalizedText.length > 0 && this.contentHashes.has(contentHash)) {
+            return 'content';
+        }
+
+        keys.forEach(key => this.processedPageKeys.add(key));
+        if (normalizedText.length > 0) {
+            this.contentHashes.add(contentHash);
+        }
+        return null;
+    }
+
+    // Scrape a single page; slot selects the worker's browser tab when one is needed
+    async scrapePage(url, depth = 0, slot = 0) {
         if (!this.shouldVisitUrl(url)) {
             if (this.options.onProgress) {
-                this.options.onProgress({ type: 'skipped', url, reason: 'Does not match restrictToPath' });
+                this.options.onProgress({ type: 'skipped', url, reason: 'Outside crawl scope' });
             }
-            return { emails: [], personalData: {} };
+            return { emails: [], links: [], personalData: {} };
         }
 
         if (depth > this.options.maxDepth || this.visitedUrls.size >= this.options.maxPages) {
             return { emails: [], links: [], personalData: {} };
         }
 
-        if (this.visitedUrls.has(url)) {
+        const pageKey = canonicalizeUrl(url);
+        if (this.visitedUrls.has(pageKey)) {
             return { emails: [], links: [], personalData: {} };
         }
 
-        this.visitedUrls.add(url);
+        // Claim the URL before the first await so parallel workers never visit it twice
+        this.visitedUrls.add(pageKey);
         console.log(`Scraping: ${url} (depth: ${depth})`);
 
+        const pageRecord = {
+            url,
+            finalUrl: null,
+            redirectChain: [],
+            status: null,
+            contentType: null,
+            fetchedWith: null,
+            depth,
+            startedAt: new Date().toISOString(),
+            durationMs: null,
+            outcome: null,
+            language: null,
+            emailsFound: 0
+        };
+
         // Call progress callback
         if (this.options.onProgress) {
             this.options.onProgress({
@@ -688,6 +1598,9 @@ class EmailScraper {
                 url: url,
                 depth: depth,
                 pagesVisited: this.visitedUrls.size,
+                pagesCompleted: this.pagesCompleted,
+                activePages: this.visitedUrls.size - this.pagesCompleted,
+                queuedPages: this.frontier.size,
                 totalEmails: this.emails.size
             });
         }
@@ -696,63 +1609,162 @@ class EmailScraper {
             // Check robots.txt
             const canFetch = await this.checkRobotsTxt(url);
             if (!canFetch) {
-                console.log(`Blocked by robots.txt: ${url}`);
-                if (this.options.onProgress) {
-                    this.options.onProgress({
-                        type: 'page_blocked',
-                        url: url,
-                        reason: 'robots.txt'
-                    });
+                return this.blockPage(pageRecord, url);
+            }
+
+            // Honor Crawl-delay before hitting the host
+            await this.throttleHost(url);
+
+            // Get page content
+            const { response, failure, attempts } = await this.fetchWithRetry(url, slot);
+            pageRecord.attempts = attempts;
+
+            if (failure) {
+                if (response) {
+                    const { html, retryAfterMs, blockedByRobots, ...responseInfo } = response;
+                    Object.assign(pageRecord, responseInfo);
                 }
-                return { emails: [], links: [], personalData: {} };
+                return this.failPage(pageRecord, failure);
             }
 
-            // Navigate to page
-            await this.page.goto(url, {
-                waitUntil: 'domcontentloaded',
-                timeout: this.options.timeout
-            });
+            const { html: content, retryAfterMs, blockedByRobots, ...responseInfo } = response;
+            Object.assign(pageRecord, responseInfo);
 
-            // Wait for content to load (reduced wait time for speed)
-            await new Promise(resolve => setTimeout(resolve, 500));
+            const pageUrl = response.finalUrl || url;
+            if (pageUrl !== url) {
+                this.frontier.markSeen(pageUrl);
+            }
+
+            // Redirected off the site
+            if (this.scope && !this.scope.isHostAllowed(pageUrl)) {
+                return this.skipPage(pageRecord, 'redirected_off_site', `Redirected outside the crawl scope: ${pageUrl}`);
+            }
+
+            if (blockedByRobots) {
+                return this.blockPage(pageRecord, pageUrl);
+            }
+
+            if (content === null) {
+                return this.skipPage(pageRecord, 'non_html', `Non-HTML content: ${response.contentType}`);
+            }
 
-            // Get page content
-            const content = await this.page.content();
             const $ = cheerio.load(content);
 
             // Extract emails from page content
-            const pageText = $.text();
-            const pageEmails = this.extractEmailsFromText(pageText);
+            const pageText = this.getSpacedText($.root());
+            const language = detectPageLanguage($, pageText);
+            pageRecord.language = language;
+
+            // Skip pages that duplicate one already processed
+            const duplicateReason = this.checkDuplicatePage(url, $, pageText, pageUrl);
+            if (duplicateReason) {
+                console.log(`Skipping duplicate page (${duplicateReason}): ${url}`);
+                this.duplicatePages++;
+                this.finishPageRecord(pageRecord, 'duplicate');
+                if (this.options.onProgress) {
+                    this.options.onProgress({
+                        type: 'page_duplicate',
+                        url: url,
+                        reason: duplicateReason,
+                        page: pageRecord
+                    });
+                }
+                return { emails: [], links: [], personalData: {} };
+            }
+
+            // Every place an address appears on the page, with how it was found
+            const uncleaned = [];
+            let occurrences = this.findEmailOccurrences(pageText, uncleaned).map(({ email, index, length }) => ({
+                email,
+                method: 'text',
+                snippet: this.getTextSnippet(pageText, index, length)
+            }));
 
             // Extract emails from href attributes
-            const hrefEmails = [];
             $('a[href^="mailto:"]').each((i, el) => {
                 const href = $(el).attr('href');
                 const email = href.replace('mailto:', '').split('?')[0];
                 const cleaned = this.cleanEmail(email);
-                if (cleaned) hrefEmails.push(cleaned);
+                if (cleaned) occurrences.push({ email: cleaned, method: 'mailto', snippet: this.getElementSnippet($, el) });
             });
 
             // Extract emails from data attributes and other sources
-            const dataEmails = [];
             $('[data-email], [data-mail], [data-contact]').each((i, el) => {
                 const dataEmail = $(el).attr('data-email') || $(el).attr('data-mail') || $(el).attr('data-contact');
                 if (dataEmail) {
                     const cleaned = this.cleanEmail(dataEmail);
-                    if (cleaned) dataEmails.push(cleaned);
+                    if (cleaned) occurrences.push({ email: cleaned, method: 'data-attribute', snippet: this.getElementSnippet($, el) });
                 }
             });
 
+            // Emails published in schema.org JSON-LD, microdata or RDFa
+            const structuredEntities = extractStructuredData($);
+            structuredEntities.forEach(entity => {
+                entity.emails = entity.emails.map(email => this.cleanEmail(email)).filter(Boolean);
+                entity.emails.forEach(email => occurrences.push({
+                    email,
+                    method: 'structured-data',
+                    snippet: `${entity.source} ${entity.type}${entity.name ? `: ${entity.name}` : ''}`
+                }));
+            });
+
+            // Linked vCards; their entities merge like structured data, provenance points at the .vcf
+            if (this.options.fetchVCards) {
+                const vcards = await this.fetchLinkedVCards($, pageUrl);
+                vcards.forEach(({ url: vcardUrl, entities }) => entities.forEach(entity => {
+                    entity.emails = entity.emails.map(email => this.cleanEmail(email)).filter(Boolean);
+                    entity.emails.forEach(email => occurrences.push({
+                        email,
+                        method: 'vcard',
+                        url: vcardUrl,
+                        snippet: [entity.name, entity.organization && entity.organization !== entity.name ? `(${entity.organization})` : null].filter(Boolean).join(' ')
+                    }));
+                    structuredEntities.push(entity);
+                }));
+            }
+
+            // Linked PDFs, searched page by page
+            const pageEmails = new Set(occurrences.map(occurrence => occurrence.email));
+            let pdfPages = [];
+            if (this.options.scanPdfs) {
+                pdfPages = await this.fetchLinkedPdfs($, pageUrl);
+                pdfPages.forEach(pdfPage => {
+                    const found = this.findEmailOccurrences(pdfPage.text);
+                    pdfPage.emails = [...new Set(found.map(({ email }) => email))];
+                    found.forEach(({ email, index, length }) => occurrences.push({
+                        email,
+                        method: 'pdf',
+                        url: pdfPage.url,
+                        page: pdfPage.page,
+                        snippet: this.getTextSnippet(pdfPage.text, index, length)
+                    }));
+                });
+                pdfPages = pdfPages.filter(pdfPage => pdfPage.emails.length > 0);
+            }
+
+            // Drop asset filenames, placeholders and tracking keys, keeping them for the debug report
+            uncleaned.forEach(({ email, index, length, rejection }) => this.recordRejectedEmail(
+                { email, snippet: this.getTextSnippet(pageText, index, length) }, rejection, pageUrl
+            ));
+            occurrences = occurrences.filter(occurrence => {
+                const rejection = this.checkEmailCandidate(occurrence.email);
+                if (rejection) this.recordRejectedEmail(occurrence, rejection, pageUrl);
+                return !rejection;
+            });
+
             // Combine all emails
-            const allEmails = [...new Set([...pageEmails, ...hrefEmails, ...dataEmails])];
+            const allEmails = [...new Set(occurrences.map(occurrence => occurrence.email))];
+            this.recordEmailOccurrences(pageUrl, occurrences);
 
             // Extract personal data if enabled
             let personalData = {};
+            let contactBlocks = new Map();
+            let textNames = [];
             if (this.options.collectPersonalData) {
-                personalData = this.extractPersonalDataFromHTML($);
+                personalData = this.extractPersonalDataFromHTML($, language, structuredEntities);
                 
                 // Also extract from page text
-                const textNames = this.extractNamesWithContext(pageText);
+                textNames = this.extractNamesWithContext(pageText, language);
                 const textSocialMedia = this.extractSocialMediaFromText(pageText);
                 const textAddresses = this.extractAddressesFromText(pageText);
 
@@ -768,15 +1780,10 @@ class EmailScraper {
                 // Merge with HTML data
                 personalData.keywords = [...new Set([...personalData.keywords, ...textNames])];
                 personalData.names = [...new Set([...emailNames, ...textNames])]; // Combine email names and extracted names
-                personalData.addresses = [...new Set([...personalData.addresses, ...textAddresses])];
+                personalData.addresses = mergeAddresses(personalData.addresses, textAddresses);
 
                 // Merge social media
-                Object.keys(textSocialMedia).forEach(platform => {
-                    if (!personalData.socialMedia[platform]) {
-                        personalData.socialMedia[platform] = [];
-                    }
-                    personalData.socialMedia[platform] = [...new Set([...personalData.socialMedia[platform], ...textSocialMedia[platform]])];
-                });
+                personalData.socialMedia = mergeSocialMedia(personalData.socialMedia, textSocialMedia);
 
                 // Apply AI categorization if enabled
                 if (this.options.useAICategorization && Object.keys(personalData).length > 0) {
@@ -786,21 +1793,45 @@ class EmailScraper {
                         console.warn('AI categorization failed:', error.message);
                     }
                 }
+
+                // Names, titles and profiles sharing a card, row or list item with each email
+                const sharedElements = new Map();
+                contactBlocks = this.extractContactBlocks($, language, sharedElements);
+                personalData.contacts = Object.fromEntries(contactBlocks);
+
+                // Cards and Person entities listing several emails tie them together for entity resolution
+                const emailsByElement = new Map();
+                sharedElements.forEach((elements, email) => elements.forEach(el => {
+                    emailsByElement.set(el, [...(emailsByElement.get(el) || []), email]);
+                }));
+                this.recordEmailBlocks(pageUrl, [
+                    ...emailsByElement.values(),
+                    ...structuredEntities.filter(entity => entity.type === 'Person').map(entity => entity.emails)
+                ]);
+                personalData.structuredData = structuredEntities;
+
+                pdfPages.forEach(pdfPage => {
+                    pdfPage.personalData = this.extractPersonalDataFromText(pdfPage.text, language);
+                });
             }
 
             // Extract links for further crawling
             const links = [];
             $('a[href]').each((i, el) => {
                 const href = $(el).attr('href');
+                // vCards and PDFs are downloaded above, not crawled as pages
+                if (this.options.fetchVCards && isVCardLink(href, $(el).attr('type'))) return;
+                if (this.options.scanPdfs && isPdfLink(href, $(el).attr('type'))) return;
                 if (href && !href.startsWith('javascript:') && !href.startsWith('#')) {
                     try {
-                        const absoluteUrl = new URL(href, url).href;
+                        const absoluteUrl = new URL(href, pageUrl).href;
                         const parsedUrl = new URLParse(absoluteUrl);
                         
-                        // Only follow links from the same domain
-                        const originalParsed = new URLParse(url);
-                        if (parsedUrl.host === originalParsed.host) {
-                            // Only add links that match the restricted path (if specified)
+                        // Only follow links on the crawl's site (same host when scraping a single page)
+                        const originalParsed = new URLParse(pageUrl);
+                        const onSite = this.scope ? this.scope.isHostAllowed(absoluteUrl) : parsedUrl.host === originalParsed.host;
+                        if (onSite) {
+                            // Only add links inside the crawl scope
                             if (this.shouldVisitUrl(absoluteUrl)) {
                                 links.push(absoluteUrl);
                             }
@@ -813,6 +1844,7 @@ class EmailScraper {
 
             // Add emails to global set
             allEmails.forEach(email => this.emails.add(email));
+            this.finishPageRecord(pageRecord, 'ok', { emailsFound: allEmails.length });
 
             // Store personal data with emails as keys
             if (this.options.collectPersonalData && allEmails.length > 0) {
@@ -829,17 +1861,58 @@ class EmailScraper {
                             seniority: [],
                             departments: [],
                             confidence: 0,
+                            associationConfidence: 'low',
+                            associations: [],
+                            pageContext: { names: [], jobTitles: [], keywords: [], addresses: [], socialMedia: {}, confidence: 'low' },
+                            structuredData: null, // Values taken from schema.org markup, also merged into the fields above
                             sourceUrl: url
                         });
                     }
                     
                     const existingData = this.personalData.get(email);
-                    // Merge new data with existing data
-                    existingData.names = [...new Set([...existingData.names, ...(personalData.names || [])])];
-                    existingData.keywords = [...new Set([...existingData.keywords, ...personalData.keywords])];
-                    existingData.addresses = [...new Set([...existingData.addresses, ...personalData.addresses])];
-                    existingData.jobTitles = [...new Set([...existingData.jobTitles, ...personalData.jobTitles])];
-                    existingData.companies = [...new Set([...existingData.companies, ...personalData.companies])];
+                    const block = contactBlocks.get(email);
+                    const emailName = this.extractNamesFromEmail(email);
+
+                    // Names, titles and profiles only count as this person's when they share a DOM block with the email;
+                    // otherwise the page-wide data is kept apart as low-confidence context
+                    const mergeInto = (target, source) => {
+                        target.names = [...new Set([...target.names, ...source.names])];
+                        target.jobTitles = [...new Set([...target.jobTitles, ...source.jobTitles])];
+                        target.socialMedia = mergeSocialMedia(target.socialMedia, source.socialMedia);
+                    };
+                    if (pageEmails.has(email)) {
+                        mergeInto(block ? existingData : existingData.pageContext,
+                            block || { names: textNames, jobTitles: personalData.jobTitles, socialMedia: personalData.socialMedia });
+                        if (existingData.associations.length < MAX_OCCURRENCES_PER_EMAIL) {
+                            existingData.associations.push(block
+                                ? { url: pageUrl, method: 'dom', confidence: 'high', containers: block.containers }
+                                : { url: pageUrl, method: 'page', confidence: 'low' });
+                        }
+                        if (block) existingData.associationConfidence = 'high';
+                    }
+                    if (emailName) {
+                        existingData.names = [...new Set([...existingData.names, emailName])];
+                    }
+
+                    // A PDF page has no layout to go by, so its data is page-level context for the emails on it
+                    pdfPages.filter(pdfPage => pdfPage.emails.includes(email)).forEach(pdfPage => {
+                        mergeInto(existingData.pageContext, pdfPage.personalData);
+                        existingData.pageContext.addresses = mergeAddresses(existingData.pageContext.addresses, pdfPage.personalData.addresses);
+                        if (existingData.associations.length < MAX_OCCURRENCES_PER_EMAIL) {
+                            existingData.associations.push({ url: pdfPage.url, page: pdfPage.page, method: 'pdf', confidence: 'low' });
+                        }
+                    });
+                    this.mergeStructuredData(existingData, structuredEntities.filter(entity => entity.emails.includes(email)), pageUrl);
+
+                    // Keywords and addresses are the email's own only when they come from its block; the page-wide
+                    // ones (every address and colleague name on a team page) stay in pageContext
+                    if (block) {
+                        existingData.keywords = [...new Set([...existingData.keywords, ...block.names, ...block.jobTitles, ...block.companies])];
+                        existingData.addresses = mergeAddresses(existingData.addresses, block.addresses);
+                    }
+                    existingData.pageContext.keywords = [...new Set([...existingData.pageContext.keywords, ...personalData.keywords])];
+                    existingData.pageContext.addresses = mergeAddresses(existingData.pageContext.addresses, personalData.addresses);
+                    existingData.companies = mergeCompanies(existingData.companies, block ? block.companies : [], companiesForEmail(email, personalData.companies, pageUrl));
                     
                     // Merge AI-categorized data if available
                     if (personalData.industries) {
@@ -854,14 +1927,6 @@ class EmailScraper {
                     if (personalData.confidence) {
                         existingData.confidence = Math.max(existingData.confidence, personalData.confidence);
                     }
-                    
-                    // Merge social media
-                    Object.keys(personalData.socialMedia).forEach(platform => {
-                        if (!existingData.socialMedia[platform]) {
-                            existingData.socialMedia[platform] = [];
-                        }
-                        existingData.socialMedia[platform] = [...new Set([...existingData.socialMedia[platform], ...personalData.socialMedia[platform]])];
-                    });
                 });
             }
 
@@ -871,6 +1936,7 @@ class EmailScraper {
                     type: 'emails_found',
                     url: url,
                     emails: allEmails,
+                    occurrences: occurrences.map(occurrence => ({ url: pageUrl, ...occurrence })),
                     totalEmails: this.emails.size,
                     personalData: this.options.collectPersonalData ? personalData : null
                 });
@@ -883,8 +1949,11 @@ class EmailScraper {
                     url: url,
                     emailsFound: allEmails.length,
                     pagesVisited: this.visitedUrls.size,
+                    pagesCompleted: this.pagesCompleted,
+                    activePages: this.visitedUrls.size - this.pagesCompleted,
                     totalEmails: this.emails.size,
-                    personalDataFound: this.options.collectPersonalData ? Object.keys(personalData).length : 0
+                    personalDataFound: this.options.collectPersonalData ? Object.keys(personalData).length : 0,
+                    page: pageRecord
                 });
             }
 
@@ -899,49 +1968,99 @@ class EmailScraper {
             return { emails: allEmails, links: [...new Set(links)], personalData };
 
         } catch (error) {
-            console.error(`Error scraping ${url}: ${error.message}`);
-            
-            // Call progress callback for errors
+            const failure = classifyFetchError(error);
+            this.errorCounts.permanent[failure.category] = (this.errorCounts.permanent[failure.category] || 0) + 1;
+            return this.failPage(pageRecord, failure);
+        }
+    }
+
+    // Seed the frontier with in-scope URLs listed in the site's sitemaps
+    async seedFromSitemaps(startUrl) {
+        try {
+            const { body: robotsTxt } = await this.getRobots(startUrl);
+            const { pages, sitemaps } = await loadSitemapUrls(startUrl, {
+                robotsTxt,
+                userAgent: this.options.userAgent,
+                timeout: Math.min(this.options.timeout, 15000),
+                limit: this.options.maxPages,
+                // Checked quietly: a sitemap can list thousands of out-of-scope URLs, too many for url_filtered events
+                filter: (url) => {
+                    try {
+                        return this.scope.isHostAllowed(url) && !this.getScopeViolation(url);
+                    } catch (error) {
+                        return false;
+                    }
+                },
+                // Sitemaps named in robots.txt or an index may sit on other hosts
+                sitemapFilter: async (url) => {
+                    try {
+                        return this.scope.isHostAllowed(url) && await this.checkRobotsTxt(url);
+                    } catch (error) {
+                        return false;
+                    }
+                }
+            });
+
+            const seeded = pages.filter(url => this.frontier.add(url, 0)).length;
+            console.log(`Seeded ${seeded} URLs from ${sitemaps.length} sitemap(s)`);
+
             if (this.options.onProgress) {
                 this.options.onProgress({
-                    type: 'page_error',
-                    url: url,
-                    error: error.message
+                    type: 'sitemap_seeded',
+                    url: startUrl,
+                    sitemaps,
+                    urlsSeeded: seeded
                 });
             }
-            
-            return { emails: [], links: [], personalData: {} };
+        } catch (error) {
+            console.log(`Could not load sitemaps for ${startUrl}: ${error.message}`);
         }
     }
 
-    // Recursive scraping with depth control
-    async scrapeRecursive(urls, depth = 0) {
-        if (depth > this.options.maxDepth || this.visitedUrls.size >= this.options.maxPages) {
-            return;
-        }
+    // Crawl from the frontier with a pool of tabs, always taking the best scored URL next
+    async crawl(startUrl) {
+        this.frontier.add(startUrl, 0);
+        let activeWorkers = 0;
 
-        const newUrls = [];
-        
-        for (const url of urls) {
-            if (this.visitedUrls.size >= this.options.maxPages) break;
-            
-            if (!this.shouldVisitUrl(url)) {
-                if (this.options.onProgress) {
-                    this.options.onProgress({ type: 'skipped', url, reason: 'Does not match restrictToPath' });
+        // Each worker owns one slot (and tab, if needed); an empty frontier only ends the crawl once no page is in flight
+        const worker = async (slot) => {
+            while (this.visitedUrls.size < this.options.maxPages) {
+                const entry = this.frontier.next();
+
+                if (!entry) {
+                    if (activeWorkers === 0) break;
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                    continue;
                 }
-                continue;
+
+                const { url, depth } = entry;
+
+                if (!this.shouldVisitUrl(url)) {
+                    if (this.options.onProgress) {
+                        this.options.onProgress({ type: 'skipped', url, reason: 'Outside crawl scope' });
+                    }
+                    continue;
+                }
+
+                if (this.visitedUrls.has(canonicalizeUrl(url))) continue;
+
+                activeWorkers++;
+                try {
+                    const result = await this.scrapePage(url, depth, slot);
+                    if (depth < this.options.maxDepth) {
+                        (result.links || []).forEach(link => this.frontier.add(link, depth + 1));
+                    }
+                } finally {
+                    activeWorkers--;
+                }
+
+                // Delay between requests
+                await new Promise(resolve => setTimeout(resolve, this.options.delay));
             }
-            
-            const result = await this.scrapePage(url, depth);
-            newUrls.push(...result.links);
-            
-            // Delay between requests
-            await new Promise(resolve => setTimeout(resolve, this.options.delay));
-        }
+        };
 
-        if (newUrls.length > 0 && depth < this.options.maxDepth) {
-            await this.scrapeRecursive([...new Set(newUrls)], depth + 1);
-        }
+        const poolSize = Math.max(1, Math.min(this.options.concurrentPages, this.options.maxPages));
+        await Promise.all(Array.from({ length: poolSize }, (_, slot) => worker(slot)));
     }
 
     // Main scraping method - returns results instead of saving to CSV
@@ -954,23 +2073,42 @@ class EmailScraper {
         }
 
         console.log(`Starting email scraping from: ${startUrl}`);
-        console.log(`Max depth: ${this.options.maxDepth}, Max pages: ${this.options.maxPages}`);
+        console.log(`Max depth: ${this.options.maxDepth}, Max pages: ${this.options.maxPages}, Concurrent pages: ${this.options.concurrentPages}`);
         if (this.options.collectPersonalData) {
             console.log(`Personal data collection: ENABLED`);
             if (this.options.useAICategorization) {
-                console.log(`AI categorization: ENABLED (using Google Gemini Flash via OpenRouter)`);
+                console.log(`AI categorization: ENABLED (using ${this.aiProvider.description || 'a custom provider'})`);
             }
         }
 
+        this.scope = new CrawlScope(startUrl, this.options);
+
         try {
-            await this.initBrowser();
-            await this.scrapeRecursive([startUrl], 0);
+            // Browser mode launches up front so a missing Chromium fails the crawl immediately
+            if (this.options.fetchMode === 'browser') {
+                await this.getPage(0);
+            }
+            if (this.options.useSitemaps) {
+                await this.seedFromSitemaps(startUrl);
+            }
+            await this.crawl(startUrl);
             
-            const emails = Array.from(this.emails);
+            const verification = this.options.verifyEmails ? await this.verifyEmails(Array.from(this.emails)) : null;
+            const emailScores = this.scoreEmails(Array.from(this.emails), verification);
+            const { emails, filteredEmails } = this.applyEmailFilters(emailScores);
+            const kept = new Set(emails);
+            const people = this.resolvePeople(emails.filter(email => emailScores[email].type === 'personal'));
+            const keep = (byEmail) => byEmail && Object.fromEntries(Object.entries(byEmail).filter(([email]) => kept.has(email)));
             
             console.log(`\nScraping completed!`);
-            console.log(`Total pages visited: ${this.visitedUrls.size}`);
+            console.log(`Total pages visited: ${this.visitedUrls.size} (${this.duplicatePages} duplicates skipped)`);
             console.log(`Total unique emails found: ${emails.length}`);
+            if (filteredEmails.length > 0) {
+                console.log(`Left out by emailTypes/minScore: ${filteredEmails.length}`);
+            }
+            if (this.failedPages > 0) {
+                console.log(`Failed pages: ${this.failedPages} (${this.retryCount} retries)`);
+            }
             
             if (this.options.collectPersonalData) {
                 console.log(`Personal data collected for ${this.personalData.size} email addresses`);
@@ -979,24 +2117,108 @@ class EmailScraper {
             return {
                 emails,
                 pagesVisited: this.visitedUrls.size,
+                duplicatePages: this.duplicatePages,
+                pages: this.pageLog,
+                errorSummary: {
+                    failedPages: this.failedPages,
+                    retries: this.retryCount,
+                    retriesByCategory: this.retriesByCategory,
+                    transient: this.errorCounts.transient,
+                    permanent: this.errorCounts.permanent
+                },
                 totalEmails: emails.length,
-                personalData: this.options.collectPersonalData ? Object.fromEntries(this.personalData) : null
+                personalData: this.options.collectPersonalData ? keep(Object.fromEntries(this.personalData)) : null,
+                emailSources: keep(Object.fromEntries(this.emailSources)),
+                verification: keep(verification),
+                emailScores: keep(emailScores),
+                people,
+                debug: {
+                    rejectedEmails: Array.from(this.rejectedEmails.values()),
+                    filteredEmails
+                }
             };
             
         } catch (error) {
             console.error('Scraping failed:', error);
             throw error;
         } finally {
-            if (this.browser) {
-                await this.browser.close();
-            }
+            await this.close();
         }
     }
 
+    // Deliverability check of the crawl's emails: { email: { status, reasons, ... } }
+    async verifyEmails(emails) {
+        if (this.options.onProgress) {
+            this.options.onProgress({ type: 'verifying_emails', total: emails.length });
+        }
+
+        const verifier = new EmailVerifier(this.options);
+        const verification = await verifier.verifyAll(emails);
+
+        const counts = {};
+        Object.values(verification).forEach(result => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+        });
+        console.log(`Email verification: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ') || 'no emails'}`);
+        return verification;
+    }
+
+    // Class and contact score of each email: { email: { type, role, score, breakdown } }
+    scoreEmails(emails, verification) {
+        const scores = {};
+        emails.forEach(email => {
+            const classification = classifyEmail(email);
+            scores[email] = {
+                ...classification,
+                ...scoreEmail({
+                    classification,
+                    personalData: this.personalData.get(email) || null,
+                    sources: this.emailSources.get(email) || null,
+                    verification: verification ? verification[email] : null
+                })
+            };
+        });
+        return scores;
+    }
+
+    // Personal emails clustered into people: [{ id, name, emails, ..., mergeConfidence, evidence }]
+    resolvePeople(emails) {
+        return resolvePeople(emails.map(email => {
+            const data = this.personalData.get(email);
+            return {
+                email,
+                localName: this.extractNamesFromEmail(email),
+                names: data ? data.names : [],
+                jobTitles: data ? data.jobTitles : [],
+                companies: data ? data.companies : [],
+                socialMedia: data ? data.socialMedia : {},
+                pageSocialMedia: data ? data.pageContext.socialMedia : {},
+                blocks: Array.from(this.emailBlocks.get(email) || [])
+            };
+        }));
+    }
+
+    // Emails passing the emailTypes/minScore options, plus a note of each one left out
+    applyEmailFilters(emailScores) {
+        const emails = [];
+        const filteredEmails = [];
+        Object.entries(emailScores).forEach(([email, scored]) => {
+            if (matchesEmailFilters(scored, this.options)) {
+                emails.push(email);
+            } else {
+                filteredEmails.push({ email, type: scored.type, score: scored.score });
+            }
+        });
+        return { emails, filteredEmails };
+    }
+
     // Close browser
     async close() {
         if (this.browser) {
             await this.browser.close();
+            this.browser = null;
+            this.browserLaunch = null;
+            this.pages = [];
         }
     }
 }
@@ -0,0 +1,163 @@
+/**
+ * Postal address recognizers
+ *
+ * Each recognizer handles one country's address format and returns the
+ * address with an ISO 3166-1 alpha-2 country code and its components:
+ *
+ *   { country: 'PL', pattern: /.../gu, components(match) -> { street, houseNumber, postalCode, city, region } }
+ *
+ * `pattern` should use named groups; `components` is optional and defaults to
+ * the non-empty named groups. Custom recognizers can be passed to
+ * `recognizeAddresses` next to (or instead of) the defaults.
+ */
+
+// Capitalized place-name word, allowing diacritics, apostrophes and hyphenated parts
+const PLACE_WORD = "\\p{Lu}[\\p{L}'’]*(?:-\\p{L}[\\p{L}'’]*)*";
+// Street words after a street-type prefix, where lowercase particles are common ("rue de la Paix")
+const STREET_WORDS = "[\\p{L}\\d'’.-]+(?:\\s[\\p{L}\\d'’.-]+){0,4}?";
+// Capitalized words before a bounded end such as a state code or postcode
+const PLACE_WORDS = `${PLACE_WORD}(?:\\s${PLACE_WORD}){0,3}`;
+// Words that follow an address but are not part of a city name
+const CITY_STOPWORDS = '(?:Tel|Telefon|Telefax|Phone|Fax|Mobil|Mobile|Email|E-mail|E-Mail|NIP|REGON|KRS|USt|Kontakt|Contact|Polska|Deutschland|Germany|Poland|France|España|Spain|Nederland|Netherlands)\\b';
+// City after a postcode: one name, optionally "am Main"/"sur Mer" or a second word that ends the address
+const TRAILING_CITY = `${PLACE_WORD}(?:\\s(?:am|an|der|im|in|sur|sous|en|de|del|la|upon|on)\\s${PLACE_WORD}|\\s(?!${CITY_STOPWORDS})${PLACE_WORD}(?=\\s*(?:[,;)]|\\.(?:\\s|$)|$)))?`;
+
+const US_STATES = 'AL|AK|AZ|AR|CA|CO|CT|DE|DC|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|PR';
+const CA_PROVINCES = 'AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT';
+const EN_STREET_TYPES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Court|Ct|Place|Pl|Way|Terrace|Ter|Circle|Cir|Close|Crescent|Square|Sq|Gardens|Hill|Row|Mews|Walk|Park|Green|Parade';
+
+const DEFAULT_ADDRESS_RECOGNIZERS = [
+    {
+        // 123 Main St, Springfield, IL 62701
+        country: 'US',
+        pattern: new RegExp(`(?<houseNumber>\\d+)\\s+(?<street>${PLACE_WORDS}\\s(?:${EN_STREET_TYPES}))\\.?,?\\s+(?<city>${PLACE_WORDS}),?\\s+(?<region>${US_STATES})\\s+(?<postalCode>\\d{5}(?:-\\d{4})?)\\b`, 'gu')
+    },
+    {
+        // P.O. Box 123, Springfield, IL 62701
+        country: 'US',
+        pattern: new RegExp(`P\\.?O\\.?\\s*Box\\s+(?<poBox>\\d+),?\\s+(?<city>${PLACE_WORDS}),?\\s+(?<region>${US_STATES})\\s+(?<postalCode>\\d{5}(?:-\\d{4})?)\\b`, 'gu')
+    },
+    {
+        // 123 Queen Street West, Toronto, ON M5H 2M9
+        country: 'CA',
+        pattern: new RegExp(`(?<houseNumber>\\d+)\\s+(?<street>${PLACE_WORDS}\\s(?:${EN_STREET_TYPES})(?:\\s(?:East|West|North|South|E|W|N|S))?)\\.?,?\\s+(?<city>${PLACE_WORDS}),?\\s+(?<region>${CA_PROVINCES})\\s+(?<postalCode>[ABCEGHJ-NPRSTVXY]\\d[A-Z]\\s?\\d[A-Z]\\d)\\b`, 'gu')
+    },
+    {
+        // 10 Downing Street, London SW1A 2AA
+        country: 'GB',
+        pattern: new RegExp(`(?<houseNumber>\\d+[A-Za-z]?)\\s+(?<street>${PLACE_WORDS}\\s(?:${EN_STREET_TYPES}))\\.?,\\s*(?:(?<locality>${PLACE_WORDS}),\\s*)?(?<city>${PLACE_WORDS}),?\\s+(?<postalCode>(?:[A-Z]{1,2}\\d[A-Z\\d]?|GIR)\\s?\\d[A-Z]{2})\\b`, 'gu')
+    },
+    {
+        // ul. Marszałkowska 10/12, 00-001 Warszawa
+        country: 'PL',
+        pattern: new RegExp(`(?<street>(?:(?:ul|al|pl|os)\\.\\s*)?${PLACE_WORD}(?:\\s${PLACE_WORD}){0,3})\\s+(?<houseNumber>\\d+[A-Za-z]?(?:\\/\\d+[A-Za-z]?)?(?:\\s*(?:lok\\.|m\\.)\\s*\\d+)?),?\\s+(?<postalCode>\\d{2}-\\d{3})\\s+(?<city>${TRAILING_CITY})`, 'gu')
+    },
+    {
+        // Musterstraße 12a, 10115 Berlin
+        country: 'DE',
+        pattern: new RegExp(`(?<street>(?:${PLACE_WORD}\\s)?\\p{Lu}[\\p{L}-]*(?:straße|strasse|str\\.|weg|allee|platz|gasse|ring|damm|ufer|chaussee)|${PLACE_WORD}\\s(?:Straße|Strasse|Str\\.|Weg|Allee|Platz|Gasse|Ring|Damm))\\s*(?<houseNumber>\\d+\\s?[a-zA-Z]?(?:-\\d+[a-zA-Z]?)?),?\\s+(?:D-)?(?<postalCode>\\d{5})\\s+(?<city>${TRAILING_CITY})`, 'gu')
+    },
+    {
+        // 12 rue de la Paix, 75002 Paris
+        country: 'FR',
+        pattern: new RegExp(`(?<houseNumber>\\d+(?:\\s?(?:bis|ter))?),?\\s+(?<street>(?:rue|Rue|avenue|Avenue|av\\.|boulevard|Boulevard|bd|Bd|place|Place|chemin|Chemin|allée|Allée|impasse|Impasse|quai|Quai|route|Route|cours|Cours)\\s${STREET_WORDS}),?\\s+(?<postalCode>\\d{5})\\s+(?<city>${TRAILING_CITY})(?:\\s+(?<cedex>CEDEX(?:\\s\\d+)?))?`, 'gu')
+    },
+    {
+        // Damrak 1, 1012 LG Amsterdam
+        country: 'NL',
+        pattern: new RegExp(`(?<street>${PLACE_WORD}(?:\\s[\\p{L}'’.-]+){0,3})\\s+(?<houseNumber>\\d+\\s?[a-zA-Z]?(?:-\\d+)?),?\\s+(?<postalCode>[1-9]\\d{3}\\s?(?!SA|SD|SS)[A-Z]{2})\\s+(?<city>${TRAILING_CITY})`, 'gu')
+    },
+    {
+        // Calle Mayor 5, 28013 Madrid
+        country: 'ES',
+        pattern: new RegExp(`(?<street>(?:Calle|C\\/|Avenida|Avda\\.|Av\\.|Plaza|Pza\\.|Paseo|Pº|Camino|Carrer|Ronda|Travesía|Carretera|Ctra\\.)\\s*${STREET_WORDS}),?\\s+(?<houseNumber>\\d+|s\\/n)(?:,?\\s*(?<floor>\\d+º?\\s?[A-Za-zª]?))?,?\\s+(?<postalCode>(?:0[1-9]|[1-4]\\d|5[0-2])\\d{3})\\s+(?<city>${TRAILING_CITY})`, 'gu')
+    }
+];
+
+const ADDRESS_COUNTRIES = [...new Set(DEFAULT_ADDRESS_RECOGNIZERS.map(recognizer => recognizer.country))];
+
+function defaultComponents(match) {
+    return Object.entries(match.groups || {}).reduce((components, [key, value]) => {
+        if (value) components[key] = value.trim().replace(/\s+/g, ' ');
+        return components;
+    }, {});
+}
+
+/**
+ * Default recognizers, optionally limited to some country codes
+ */
+function getAddressRecognizers(countries = null) {
+    if (!countries || countries.length === 0) return DEFAULT_ADDRESS_RECOGNIZERS;
+    const wanted = new Set(countries.map(country => country.toUpperCase()));
+    return DEFAULT_ADDRESS_RECOGNIZERS.filter(recognizer => wanted.has(recognizer.country));
+}
+
+/**
+ * Find addresses in text; where recognizers overlap the earliest, then longest, match wins
+ */
+function recognizeAddresses(text, recognizers = DEFAULT_ADDRESS_RECOGNIZERS) {
+    const normalized = text.normalize('NFC');
+    const candidates = [];
+
+    recognizers.forEach((recognizer, order) => {
+        const pattern = recognizer.pattern.global
+            ? recognizer.pattern
+            : new RegExp(recognizer.pattern.source, `${recognizer.pattern.flags}g`);
+        for (const match of normalized.matchAll(pattern)) {
+            candidates.push({ match, recognizer, order });
+        }
+    });
+
+    candidates.sort((a, b) => a.match.index - b.match.index
+        || b.match[0].length - a.match[0].length
+        || a.order - b.order);
+
+    const addresses = [];
+    let coveredUntil = -1;
+    candidates.forEach(({ match, recognizer }) => {
+        if (match.index < coveredUntil) return;
+        coveredUntil = match.index + match[0].length;
+        addresses.push({
+            raw: match[0].trim().replace(/\s+/g, ' '),
+            country: recognizer.country,
+            components: recognizer.components ? recognizer.components(match) : defaultComponents(match)
+        });
+    });
+
+    return addresses;
+}
+
+/**
+ * Merge address lists, keeping one entry per address text (case and punctuation ignored)
+ */
+function mergeAddresses(...lists) {
+    const merged = new Map();
+    lists.forEach(list => (list || []).forEach(address => {
+        const key = address.raw.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+        if (!merged.has(key)) merged.set(key, address);
+    }));
+    return Array.from(merged.values());
+}
+
+/**
+ * Validate a list of country codes, returning an error message or null
+ */
+function validateAddressCountries(countries) {
+    if (!Array.isArray(countries)) {
+        return `addressCountries must be an array of country codes (${ADDRESS_COUNTRIES.join(', ')})`;
+    }
+    const unknown = countries.filter(country => typeof country !== 'string' || !ADDRESS_COUNTRIES.includes(country.toUpperCase()));
+    if (unknown.length > 0) {
+        return `addressCountries contains unsupported codes: ${unknown.join(', ')} (supported: ${ADDRESS_COUNTRIES.join(', ')})`;
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_ADDRESS_RECOGNIZERS,
+    ADDRESS_COUNTRIES,
+    getAddressRecognizers,
+    recognizeAddresses,
+    mergeAddresses,
+    validateAddressCountries
+};
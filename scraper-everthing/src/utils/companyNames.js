@@ -0,0 +1,176 @@
+/**
+ * Company name detection
+ *
+ * Collects a page's company names from schema.org Organization markup,
+ * og:site_name, the footer copyright line and the <title> suffix, and
+ * derives one from an email's domain. Names are normalized without their
+ * legal form ("Firma Sp. z o.o." -> "Firma", "Acme, Inc." -> "Acme").
+ */
+
+const { extractStructuredData } = require('./structuredData');
+const { getRegistrableDomain, toUnicodeDomain } = require('./publicSuffix');
+
+// Legal forms, longest first so "GmbH & Co. KG" wins over "GmbH"
+const LEGAL_SUFFIXES = [
+    '[Ss]p\\.\\s?z\\s?o\\.\\s?o\\.?', '[Ss]p\\.\\s?[jkp]\\.', '[Ss]p\\.\\s?k\\.\\s?a\\.',
+    'GmbH\\s?&\\s?Co\\.\\s?KG', 'gGmbH', 'GmbH', 'UG\\s?\\(haftungsbeschränkt\\)', 'UG', 'AG', 'KG', 'OHG', 'e\\.\\s?V\\.?',
+    'S\\.\\s?A\\.\\s?S\\.?', 'SAS', 'SARL', 'S\\.\\s?à\\s?r\\.\\s?l\\.?', 'S\\.\\s?p\\.\\s?A\\.?', 'S\\.\\s?r\\.\\s?l\\.?', 'S\\.\\s?L\\.?', 'SL', 'S\\.\\s?A\\.?', 'SA',
+    'B\\.\\s?V\\.?', 'BV', 'N\\.\\s?V\\.?', 'NV',
+    'Pty\\.?\\s?Ltd\\.?', 'L\\.\\s?L\\.\\s?C\\.?', 'LLC', 'LLP', 'Inc\\.?', 'INC\\.?', 'Incorporated', 'Ltd\\.?', 'LTD\\.?', 'Limited', 'PLC', 'plc',
+    'Corp\\.?', 'Corporation', '&\\s?Co\\.?', 'Co\\.', 'Oy', 'AB', 'ApS', 'A\\/S', 'AS'
+].join('|');
+const LEGAL_SUFFIX_AT_END = new RegExp(`[\\s,]+(?:${LEGAL_SUFFIXES})$`, 'u');
+
+// Company name word: letters, digits and the punctuation brand names use ("Procter & Gamble", "Example.com").
+// Bounded in length and always separated by whitespace, so a long run of letters can't make the pattern backtrack
+const COMPANY_WORD = "[\\p{L}\\d&'’+-]{1,40}(?:\\.[\\p{L}\\d]{1,40}){0,3}";
+const COPYRIGHT_PATTERN = new RegExp(
+    `(?:©\\s*(?:Copyright\\b)?|\\(c\\)|Copyright)\\s*(?:©\\s*)?(?:(?:19|20)\\d{2}(?:\\s*[-–—]\\s*(?:(?:19|20)\\d{2}|present|obecnie|heute))?\\s*,?\\s*)?(?:by\\s+)?` +
+    `(${COMPANY_WORD}(?:\\s+${COMPANY_WORD}){0,5}?(?:,?\\s?(?:${LEGAL_SUFFIXES}))?)` +
+    '(?=\\s*(?:[|,•·–—]|All [Rr]ights|Wszelkie|Alle Rechte|Tous droits|Todos los|\\.(?:\\s|$)|$))',
+    'giu'
+);
+// Footer words that can follow a copyright sign without any company name ("© 2024 Privacy Policy Terms")
+const COPYRIGHT_STOPWORDS = new Set([
+    'all', 'rights', 'reserved', 'copyright', 'privacy', 'policy', 'terms', 'of', 'use', 'service', 'conditions', 'and', 'cookies', 'cookie',
+    'legal', 'notice', 'imprint', 'impressum', 'sitemap', 'contact', 'datenschutz', 'agb', 'polityka', 'prywatności', 'regulamin',
+    'wszelkie', 'prawa', 'zastrzeżone', 'alle', 'rechte', 'vorbehalten', 'tous', 'droits', 'réservés', 'todos', 'los', 'derechos', 'reservados'
+]);
+const RIGHTS_RESERVED_START = /^(?:All [Rr]ights|Wszelkie prawa|Alle Rechte|Tous droits|Todos los derechos)/i;
+const TITLE_SEPARATOR = /\s+[|–—·:»]\s+|\s+-\s+/;
+const MAX_COMPANY_WORDS = 6;
+
+// Free mail providers say nothing about where someone works
+const WEBMAIL_NAMES = new Set(['gmail', 'googlemail', 'yahoo', 'ymail', 'hotmail', 'outlook', 'live', 'msn', 'icloud', 'aol', 'gmx', 'proton', 'protonmail', 'yandex', 'zoho', 'mail', 'fastmail', 'tutanota']);
+const WEBMAIL_DOMAINS = new Set(['me.com', 'mac.com', 'web.de', 't-online.de', 'freenet.de', 'wp.pl', 'o2.pl', 'onet.pl', 'op.pl', 'interia.pl', 'poczta.fm', 'orange.fr', 'free.fr', 'laposte.net', 'libero.it', 'seznam.cz', 'mail.ru']);
+
+/**
+ * Company name without legal form, trademark signs or surrounding punctuation; null if nothing is left
+ */
+function normalizeCompanyName(name) {
+    if (!name) return null;
+    let normalized = String(name).normalize('NFC').replace(/[®™©]/g, '').replace(/\s+/g, ' ').trim()
+        .replace(/^["'“„]+|["'”]+$/g, '');
+
+    let previous;
+    do {
+        previous = normalized;
+        normalized = normalized.replace(LEGAL_SUFFIX_AT_END, '').trim();
+    } while (normalized !== previous);
+
+    normalized = normalized.replace(/^[\s,.;:–—-]+|[\s,;:–—-]+$/g, '').replace(/\.$/, '');
+    if (normalized.length < 2 || normalized.split(' ').length > MAX_COMPANY_WORDS) return null;
+    return normalized;
+}
+
+// Comparison key: case, spacing and punctuation ignored
+function companyKey(name) {
+    return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Merge company lists, keeping the first spelling of each name
+ */
+function mergeCompanies(...lists) {
+    const merged = new Map();
+    lists.forEach(list => (list || []).forEach(company => {
+        const normalized = normalizeCompanyName(company);
+        if (normalized && !merged.has(companyKey(normalized))) merged.set(companyKey(normalized), normalized);
+    }));
+    return Array.from(merged.values());
+}
+
+function isWebmailDomain(domain) {
+    const registrable = getRegistrableDomain(domain);
+    return Boolean(registrable) && (WEBMAIL_DOMAINS.has(registrable) || WEBMAIL_NAMES.has(registrable.split('.')[0]));
+}
+
+/**
+ * Company name implied by an email's domain ("jan@acme-widgets.co.uk" -> "Acme Widgets"); null for webmail
+ */
+function companyFromEmailDomain(email) {
+    const domain = String(email).split('@')[1];
+    if (!domain || isWebmailDomain(domain)) return null;
+
+    const registrable = getRegistrableDomain(domain);
+    if (!registrable) return null;
+
+    const label = toUnicodeDomain(registrable).split('.')[0];
+    return normalizeCompanyName(label.split('-').filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' '));
+}
+
+// Whether a copyright capture names someone: not a bare year, a rights notice or footer links
+function isCopyrightHolder(capture) {
+    if (RIGHTS_RESERVED_START.test(capture)) return false;
+    return capture.split(/\s+/).some(word => /^\p{L}/u.test(word) && !COPYRIGHT_STOPWORDS.has(word.toLowerCase()));
+}
+
+// The <title> part naming the site: one matching a known name, else the last of several parts
+function companyFromTitle(title, knownNames) {
+    const parts = title.split(TITLE_SEPARATOR).map(part => part.trim()).filter(Boolean);
+    if (parts.length < 2) return null;
+
+    const knownKeys = knownNames.map(companyKey);
+    const known = parts.find(part => knownKeys.includes(companyKey(normalizeCompanyName(part) || '')));
+    return known || parts[parts.length - 1];
+}
+
+/**
+ * Company names on a page, most reliable source first
+ */
+function extractCompanyNames($, structuredEntities = extractStructuredData($)) {
+    const names = [];
+
+    structuredEntities
+        .filter(entity => entity.type === 'Organization' && entity.source !== 'vcard')
+        .forEach(entity => names.push(entity.name || entity.organization));
+
+    names.push($('meta[property="og:site_name"]').attr('content'));
+
+    const footer = $('footer, [class*="footer"], [id*="footer"]');
+    const copyrightText = (footer.length ? footer : $('body')).text().replace(/\s+/g, ' ');
+    const copyright = Array.from(copyrightText.matchAll(COPYRIGHT_PATTERN)).map(match => match[1]).find(isCopyrightHolder);
+    if (copyright) names.push(copyright);
+
+    const title = $('title').first().text().replace(/\s+/g, ' ').trim();
+    if (title) names.push(companyFromTitle(title, mergeCompanies(names)));
+
+    return mergeCompanies(names);
+}
+
+/**
+ * Companies to credit an email found on pageUrl with: the page's companies when the address belongs
+ * to the site (or is webmail) or its domain names one of them, plus the company its own domain implies
+ */
+function companiesForEmail(email, pageCompanies, pageUrl) {
+    const domain = String(email).split('@')[1] || '';
+    const webmail = isWebmailDomain(domain);
+    let sameSite = false;
+    try {
+        const pageDomain = getRegistrableDomain(new URL(pageUrl).hostname);
+        sameSite = pageDomain !== null && pageDomain === getRegistrableDomain(domain);
+    } catch (error) {
+        // Without a page URL only the domain counts
+    }
+
+    const fromDomain = companyFromEmailDomain(email);
+    const domainKey = fromDomain ? companyKey(fromDomain) : null;
+    const namesDomain = company => domainKey !== null && companyKey(company).includes(domainKey);
+
+    const companies = mergeCompanies(pageCompanies).filter(company => webmail || sameSite || namesDomain(company));
+    // "Acmewidgets" from acmewidgets.com adds nothing when "Acme Widgets" is already known
+    if (fromDomain && !companies.some(namesDomain)) {
+        companies.push(fromDomain);
+    }
+    return companies;
+}
+
+module.exports = {
+    normalizeCompanyName,
+    mergeCompanies,
+    companyFromEmailDomain,
+    extractCompanyNames,
+    companiesForEmail
+};
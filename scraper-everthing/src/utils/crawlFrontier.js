@@ -0,0 +1,139 @@
+/**
+ * Priority-ordered crawl frontier
+ *
+ * URLs are scored by matching their path and query against a list of
+ * `{ pattern, score }` rules; the highest scored URL is always taken next.
+ * Ties go to the shallower URL, then to the one discovered first.
+ * An optional `keyFn` maps URLs to dedup keys (e.g. a canonicalizer).
+ */
+
+// Pattern matching any of the terms as a whole path segment or a dash/underscore-separated part of one,
+// so "news" matches /news and /company-news but not /newsletter
+function segmentPattern(terms) {
+    return `(?:^|[/_-])(?:${terms})(?:[/._?#-]|$)`;
+}
+
+// Default scoring rules - contact-rich pages first, archives and pagination last
+const DEFAULT_SCORING_RULES = [
+    { pattern: segmentPattern('contact|kontakt|impressum|imprint|legal-notice'), score: 10 },
+    { pattern: segmentPattern('team|people|staff|leadership|management|board|zespol|o-nas|ueber-uns|uber-uns|about'), score: 8 },
+    { pattern: segmentPattern('agents?|brokers?|partners?|offices?|locations?|directory|roster'), score: 5 },
+    { pattern: '/(press|media|investors?)(/|$)', score: 2 },
+    { pattern: segmentPattern('blog|news|archives?|tags?|category|categories|authors?|events?'), score: -4 },
+    { pattern: '/\\d{4}/\\d{2}(/|$)', score: -4 },
+    { pattern: '[?&](page|p|paged|offset|start)=\\d+|/page/\\d+', score: -8 },
+    { pattern: segmentPattern('login|signin|sign-in|register|cart|checkout|basket|search'), score: -10 }
+];
+
+// Score lost per crawl depth level
+const DEPTH_PENALTY = 1;
+
+/**
+ * Compile `{ pattern, score }` rules into case-insensitive regexes
+ */
+function compileScoringRules(rules) {
+    return rules.map(rule => ({
+        regex: rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern, 'i'),
+        score: Number(rule.score) || 0
+    }));
+}
+
+class CrawlFrontier {
+    constructor(options = {}) {
+        const customRules = options.scoringRules || [];
+        const baseRules = options.useDefaultScoring === false ? [] : DEFAULT_SCORING_RULES;
+
+        this.rules = compileScoringRules([...baseRules, ...customRules]);
+        this.heap = [];
+        this.seen = new Set();
+        this.keyFn = options.keyFn || (url => url);
+        this.sequence = 0;
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    // Score a URL against the configured rules
+    score(url, depth = 0) {
+        let target = url;
+        try {
+            const parsed = new URL(url);
+            target = `${parsed.pathname}${parsed.search}`;
+        } catch (error) {
+            // Fall back to scoring the raw string
+        }
+
+        const ruleScore = this.rules.reduce((total, rule) => {
+            return rule.regex.test(target) ? total + rule.score : total;
+        }, 0);
+
+        return ruleScore - depth * DEPTH_PENALTY;
+    }
+
+    // Add a URL; returns false if it (or an equivalent URL) was already queued once
+    add(url, depth = 0) {
+        const key = this.keyFn(url);
+        if (this.seen.has(key)) return false;
+        this.seen.add(key);
+
+        this.heap.push({ url, depth, score: this.score(url, depth), order: this.sequence++ });
+        this.siftUp(this.heap.length - 1);
+        return true;
+    }
+
+    // Prevent a URL from being queued later, e.g. once it is known as a page's canonical URL
+    markSeen(url) {
+        this.seen.add(this.keyFn(url));
+    }
+
+    // Take the best scored entry, or null when empty
+    next() {
+        if (this.heap.length === 0) return null;
+
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.siftDown(0);
+        }
+        return top;
+    }
+
+    // True if entry a should be crawled before entry b
+    before(a, b) {
+        if (a.score !== b.score) return a.score > b.score;
+        if (a.depth !== b.depth) return a.depth < b.depth;
+        return a.order < b.order;
+    }
+
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.before(this.heap[index], this.heap[parent])) break;
+            [this.heap[index], this.heap[parent]] = [this.heap[parent], this.heap[index]];
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const length = this.heap.length;
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let best = index;
+
+            if (left < length && this.before(this.heap[left], this.heap[best])) best = left;
+            if (right < length && this.before(this.heap[right], this.heap[best])) best = right;
+            if (best === index) break;
+
+            [this.heap[index], this.heap[best]] = [this.heap[best], this.heap[index]];
+            index = best;
+        }
+    }
+}
+
+module.exports = {
+    CrawlFrontier,
+    DEFAULT_SCORING_RULES
+};
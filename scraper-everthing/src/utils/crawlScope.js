@@ -0,0 +1,162 @@
+/**
+ * Crawl scope rules
+ *
+ * Decides which URLs a crawl may visit:
+ * - host: the start host (www. ignored), optionally including its subdomains
+ * - includePatterns / excludePatterns: globs matched against the URL path
+ *   (`/team/**`, `/people/*.html`) or regexes written as `/pattern/flags`,
+ *   tested against the path plus query string. The start URL itself is
+ *   exempt from include patterns so the crawl can reach the included pages
+ * - queryRules: `{ param, max }` skips URLs whose numeric param exceeds max,
+ *   `{ param, exclude: true }` skips URLs carrying the param at all
+ */
+
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * Convert a glob into an anchored regex; `**` crosses path segments, `*` and `?` do not
+ */
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Compile a scope pattern; throws on malformed regexes
+ */
+function compilePattern(pattern) {
+    const regexMatch = pattern.match(REGEX_PATTERN);
+    if (regexMatch) {
+        return { type: 'regex', source: pattern, regex: new RegExp(regexMatch[1], regexMatch[2]) };
+    }
+    return { type: 'glob', source: pattern, regex: globToRegExp(pattern) };
+}
+
+/**
+ * Validate a list of scope patterns, returning an error message or null
+ */
+function validatePatterns(name, patterns) {
+    if (!Array.isArray(patterns)) {
+        return `${name} must be an array of glob or /regex/ strings`;
+    }
+
+    for (let i = 0; i < patterns.length; i++) {
+        if (typeof patterns[i] !== 'string' || patterns[i].length === 0) {
+            return `${name}[${i}] must be a non-empty string`;
+        }
+        try {
+            compilePattern(patterns[i]);
+        } catch (error) {
+            return `${name}[${i}] is not a valid regular expression: ${error.message}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate query-string rules, returning an error message or null
+ */
+function validateQueryRules(rules) {
+    if (!Array.isArray(rules)) {
+        return 'queryRules must be an array of { param, max } or { param, exclude } objects';
+    }
+
+    for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        if (!rule || typeof rule.param !== 'string' || rule.param.length === 0) {
+            return `queryRules[${i}] must have a param name`;
+        }
+        if (rule.max === undefined && rule.exclude !== true) {
+            return `queryRules[${i}] must set either max or exclude: true`;
+        }
+        if (rule.max !== undefined && (!Number.isInteger(rule.max) || rule.max < 0)) {
+            return `queryRules[${i}].max must be a non-negative integer`;
+        }
+    }
+    return null;
+}
+
+function stripWww(hostname) {
+    return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+class CrawlScope {
+    constructor(startUrl, options = {}) {
+        this.startUrl = startUrl;
+        this.baseHost = stripWww(new URL(startUrl).hostname);
+        this.followSubdomains = options.followSubdomains === true;
+        this.includes = (options.includePatterns || []).map(compilePattern);
+        this.excludes = (options.excludePatterns || []).map(compilePattern);
+        this.queryRules = options.queryRules || [];
+    }
+
+    isHostAllowed(url) {
+        const host = stripWww(new URL(url).hostname);
+        if (host === this.baseHost) return true;
+        return this.followSubdomains && host.endsWith(`.${this.baseHost}`);
+    }
+
+    matches(compiled, parsedUrl) {
+        const target = compiled.type === 'glob' ? parsedUrl.pathname : `${parsedUrl.pathname}${parsedUrl.search}`;
+        compiled.regex.lastIndex = 0;
+        return compiled.regex.test(target);
+    }
+
+    // Returns { allowed, reason }
+    check(url) {
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch (error) {
+            return { allowed: false, reason: 'Invalid URL' };
+        }
+
+        if (!this.isHostAllowed(url)) {
+            return { allowed: false, reason: `Host ${parsedUrl.hostname} is outside the crawl scope` };
+        }
+
+        const excluded = this.excludes.find(pattern => this.matches(pattern, parsedUrl));
+        if (excluded) {
+            return { allowed: false, reason: `Matches exclude pattern: ${excluded.source}` };
+        }
+
+        if (url !== this.startUrl && this.includes.length > 0 && !this.includes.some(pattern => this.matches(pattern, parsedUrl))) {
+            return { allowed: false, reason: 'Does not match any include pattern' };
+        }
+
+        for (const rule of this.queryRules) {
+            if (!parsedUrl.searchParams.has(rule.param)) continue;
+
+            if (rule.exclude) {
+                return { allowed: false, reason: `Query parameter ${rule.param} is excluded` };
+            }
+
+            const value = parseInt(parsedUrl.searchParams.get(rule.param), 10);
+            if (rule.max !== undefined && !Number.isNaN(value) && value > rule.max) {
+                return { allowed: false, reason: `Query parameter ${rule.param}=${value} exceeds ${rule.max}` };
+            }
+        }
+
+        return { allowed: true, reason: null };
+    }
+}
+
+module.exports = {
+    CrawlScope,
+    compilePattern,
+    validatePatterns,
+    validateQueryRules
+};
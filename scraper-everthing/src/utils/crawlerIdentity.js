@@ -0,0 +1,27 @@
+/**
+ * Crawler identity utility
+ *
+ * Builds the User-Agent the scraper announces itself with, e.g.
+ * `EmailScraperBot/1.0 (+https://example.com/bot; ops@example.com)`,
+ * plus the product token its robots.txt rules are matched against.
+ */
+
+const DEFAULT_CRAWLER_NAME = 'EmailScraperBot';
+const DEFAULT_CRAWLER_VERSION = '1.0';
+
+function buildCrawlerIdentity({ name, version, infoUrl, contact } = {}) {
+    const productToken = (name || DEFAULT_CRAWLER_NAME).trim().replace(/[^A-Za-z0-9._-]/g, '');
+    const details = [infoUrl ? `+${infoUrl}` : null, contact || null].filter(Boolean);
+    const userAgent = `${productToken}/${version || DEFAULT_CRAWLER_VERSION}${details.length > 0 ? ` (${details.join('; ')})` : ''}`;
+
+    return {
+        userAgent,
+        robotsProductToken: productToken,
+        contactEmail: contact && contact.includes('@') ? contact.replace(/^mailto:/i, '') : null
+    };
+}
+
+module.exports = {
+    buildCrawlerIdentity,
+    DEFAULT_CRAWLER_NAME
+};
@@ -0,0 +1,122 @@
+/**
+ * CSV export of scrape results
+ *
+ * One row per email with its classification, personal data, provenance
+ * and verification. Results saved by older versions are still exported:
+ * addresses and social profiles may be plain strings there.
+ */
+
+const { classifyEmail, matchesEmailFilters } = require('./emailClassifier');
+
+// Address as CSV text; results exported before address recognition hold plain strings
+function formatAddress(address) {
+    if (typeof address === 'string') return address;
+    return address.country ? `${address.raw} (${address.country})` : address.raw;
+}
+
+// Social profile as CSV text; results exported before profile recognition hold plain URL strings
+function formatSocialProfile(profile) {
+    return typeof profile === 'string' ? profile : `${profile.url} (${profile.type})`;
+}
+
+/**
+ * CSV text for a scrape response's data ({ results, timestamp }); filters ({ emailTypes, minScore }) leave rows out
+ */
+function generateCSVFromData(data, filters = {}) {
+    const successfulResults = data.results.filter(r => r.success);
+    const csvRows = [];
+    
+    // Add header row
+    csvRows.push([
+        'Email',
+        'Email Type',
+        'Role',
+        'Score',
+        'Person',
+        'Linked Emails',
+        'Source URL',
+        'Names',
+        'Job Titles',
+        'Companies',
+        'Keywords',
+        'Addresses',
+        'Social Media',
+        'Industries',
+        'Seniority',
+        'Departments',
+        'Association',
+        'Page-Level Names (Low Confidence)',
+        'Page-Level Addresses (Low Confidence)',
+        'Structured Data',
+        'Found On',
+        'Context',
+        'First Seen',
+        'Last Seen',
+        'Verification',
+        'Scraped At'
+    ]);
+
+    // Add data rows
+    successfulResults.forEach(result => {
+        if (result.emails && result.emails.length > 0) {
+            result.emails.forEach(email => {
+                const personalData = result.personalData && result.personalData[email] ? result.personalData[email] : {};
+                const sources = result.emailSources && result.emailSources[email] ? result.emailSources[email] : null;
+                const occurrences = sources ? sources.occurrences : [];
+                const verification = result.verification && result.verification[email] ? result.verification[email] : null;
+                // Results exported before scoring existed still have a class; they fail any minScore filter
+                const scored = result.emailScores && result.emailScores[email] ? result.emailScores[email] : { ...classifyEmail(email), score: null };
+                if (!matchesEmailFilters(scored, filters)) return;
+                const person = result.people ? result.people.find(p => p.emails.includes(email)) : null;
+                
+                const row = [
+                    email,
+                    scored.type,
+                    scored.role || '',
+                    scored.score !== null ? scored.score : '',
+                    person ? person.name || person.id : '',
+                    person && person.emails.length > 1 ? `${person.emails.filter(e => e !== email).join('; ')} (${person.mergeConfidence})` : '',
+                    result.url,
+                    personalData.names ? personalData.names.join('; ') : '',
+                    personalData.jobTitles ? personalData.jobTitles.join('; ') : '',
+                    personalData.companies ? personalData.companies.join('; ') : '',
+                    personalData.keywords ? personalData.keywords.join('; ') : '',
+                    personalData.addresses ? personalData.addresses.map(formatAddress).join('; ') : '',
+                    personalData.socialMedia ? Object.entries(personalData.socialMedia)
+                        .map(([platform, profiles]) => `${platform}: ${profiles.map(formatSocialProfile).join(', ')}`)
+                        .join('; ') : '',
+                    personalData.industries ? personalData.industries.join('; ') : '',
+                    personalData.seniority ? personalData.seniority.join('; ') : '',
+                    personalData.departments ? personalData.departments.join('; ') : '',
+                    personalData.associationConfidence || '',
+                    personalData.pageContext ? personalData.pageContext.names.join('; ') : '',
+                    personalData.pageContext && personalData.pageContext.addresses ? personalData.pageContext.addresses.map(formatAddress).join('; ') : '',
+                    personalData.structuredData ? `${personalData.structuredData.types.join(', ')} (${personalData.structuredData.sources.join(', ')})` : '',
+                    [...new Set(occurrences.map(o => `${o.url} (${o.method})`))].join('; '),
+                    [...new Set(occurrences.map(o => o.snippet))].join(' | '),
+                    sources ? sources.firstSeen : '',
+                    sources ? sources.lastSeen : '',
+                    verification ? `${verification.status}${verification.reasons.length > 0 ? ` (${verification.reasons.join(', ')})` : ''}` : '',
+                    new Date(data.timestamp).toLocaleString()
+                ];
+                
+                csvRows.push(row);
+            });
+        }
+    });
+
+    // Convert to CSV format
+    return csvRows.map(row => 
+        row.map(cell => {
+            const escaped = String(cell).replace(/"/g, '""');
+            if (escaped.includes(',') || escaped.includes('"') || escaped.includes('\n')) {
+                return `"${escaped}"`;
+            }
+            return escaped;
+        }).join(',')
+    ).join('\n');
+}
+
+module.exports = {
+    generateCSVFromData
+};
@@ -0,0 +1,128 @@
+/**
+ * Email classification and contact scoring
+ *
+ * Sorts addresses by what sits behind them:
+ *   personal  a person's mailbox (jan.kowalski@, jkowalski@)
+ *   role      a shared inbox, with its role: sales, info, support, careers,
+ *             marketing, press, billing, legal, admin (sales@, biuro@, jobs@)
+ *   system    automated senders and mail infrastructure (noreply@, bounce@)
+ *
+ * and scores each one 0-100 as a contact:
+ *   classification  personal 40, role 25, system 0
+ *   association     25 for a name tied to the email by its DOM block or
+ *                   markup, 10 for a name from the address or a PDF
+ *   structured      15 when schema.org, hCard or vCard data lists the email
+ *   verification    valid 20, unverified or unknown 10, risky 5
+ * System and invalid addresses are capped at 10.
+ */
+
+const EMAIL_TYPES = ['personal', 'role', 'system'];
+const MAX_SCORE = 100;
+const CAPPED_SCORE = 10;
+
+// Whole local parts, or their first part before a separator ("sales-team", "info.pl")
+const SYSTEM_LOCAL_PARTS = new Set([
+    'noreply', 'no-reply', 'no_reply', 'donotreply', 'do-not-reply', 'do_not_reply', 'dontreply', 'nie-odpowiadaj', 'nieodpowiadaj',
+    'bounce', 'bounces', 'mailer-daemon', 'mailerdaemon', 'postmaster', 'hostmaster', 'daemon', 'root',
+    'notifications', 'notification', 'notify', 'alerts', 'alert', 'automated', 'auto', 'system', 'robot', 'bot',
+    'newsletter', 'mailer', 'unsubscribe', 'listserv', 'majordomo', 'abuse', 'devnull', 'null', 'test', 'demo', 'example'
+]);
+
+const ROLE_LOCAL_PARTS = {
+    sales: ['sales', 'sale', 'sprzedaz', 'handel', 'vertrieb', 'verkauf', 'ventes', 'ventas', 'vendite', 'orders', 'order', 'zamowienia', 'bestellung', 'shop', 'sklep', 'quote', 'quotes', 'oferty', 'offers', 'business', 'partners', 'partnership', 'b2b'],
+    info: ['info', 'information', 'contact', 'contacts', 'kontakt', 'contacto', 'contatto', 'hello', 'hi', 'hey', 'office', 'biuro', 'buero', 'bureau', 'mail', 'email', 'general', 'enquiries', 'inquiries', 'enquiry', 'inquiry', 'team', 'reception', 'sekretariat', 'secretariat', 'welcome'],
+    support: ['support', 'help', 'helpdesk', 'service', 'services', 'customerservice', 'customercare', 'care', 'pomoc', 'wsparcie', 'serwis', 'obsluga', 'hilfe', 'kundenservice', 'soporte', 'assistance', 'feedback', 'complaints', 'reklamacje', 'returns', 'zwroty', 'tech', 'techsupport', 'it'],
+    careers: ['careers', 'career', 'jobs', 'job', 'hr', 'recruiting', 'recruitment', 'recruit', 'hiring', 'talent', 'kariera', 'praca', 'rekrutacja', 'karriere', 'bewerbung', 'personal', 'empleo', 'carrieres', 'emploi', 'people'],
+    marketing: ['marketing', 'social', 'events', 'event', 'community', 'sponsoring', 'promo', 'ads', 'advertising', 'reklama', 'werbung'],
+    press: ['press', 'pr', 'media', 'news', 'prasa', 'presse', 'prensa', 'stampa', 'communications', 'comms'],
+    billing: ['billing', 'invoice', 'invoices', 'accounts', 'accounting', 'finance', 'payments', 'payment', 'faktury', 'faktura', 'ksiegowosc', 'rechnung', 'rechnungen', 'buchhaltung', 'facturation', 'facturas'],
+    legal: ['legal', 'privacy', 'gdpr', 'rodo', 'dpo', 'datenschutz', 'compliance', 'copyright', 'dmca', 'security', 'prawny'],
+    admin: ['admin', 'administrator', 'webmaster', 'web', 'website', 'www', 'domains', 'dns', 'ssl']
+};
+const ROLE_BY_LOCAL_PART = new Map();
+Object.entries(ROLE_LOCAL_PARTS).forEach(([role, localParts]) => {
+    localParts.forEach(localPart => ROLE_BY_LOCAL_PART.set(localPart, role));
+});
+
+/**
+ * { type: 'personal' | 'role' | 'system', role } for an address; role names the inbox's function for role addresses
+ */
+function classifyEmail(email) {
+    // "sales+web@" and "sales2@" are the sales inbox
+    const local = String(email).split('@')[0].toLowerCase().split('+')[0];
+    const candidates = [local, local.replace(/\d+$/, ''), local.split(/[._-]/)[0]];
+
+    if (candidates.some(candidate => SYSTEM_LOCAL_PARTS.has(candidate)) || /^(?:bounces?|noreply|no-reply)[._-]/.test(local)) {
+        return { type: 'system', role: null };
+    }
+    const roleCandidate = candidates.find(candidate => ROLE_BY_LOCAL_PART.has(candidate));
+    if (roleCandidate) {
+        return { type: 'role', role: ROLE_BY_LOCAL_PART.get(roleCandidate) };
+    }
+    return { type: 'personal', role: null };
+}
+
+/**
+ * Contact quality score with its parts:
+ * { score, breakdown: { classification, association, structuredData, verification } }.
+ * personalData, sources (emailSources entry) and verification may be null when not collected
+ */
+function scoreEmail({ classification, personalData = null, sources = null, verification = null }) {
+    const breakdown = {
+        classification: { personal: 40, role: 25, system: 0 }[classification.type],
+        association: 0,
+        structuredData: 0,
+        verification: 10
+    };
+
+    if (personalData && personalData.names.length > 0) {
+        breakdown.association = personalData.associationConfidence === 'high' ? 25 : 10;
+    }
+
+    const methods = sources ? sources.occurrences.map(occurrence => occurrence.method) : [];
+    if ((personalData && personalData.structuredData) || methods.includes('structured-data') || methods.includes('vcard')) {
+        breakdown.structuredData = 15;
+    }
+
+    if (verification) {
+        breakdown.verification = { valid: 20, unknown: 10, risky: 5, invalid: 0 }[verification.status];
+    }
+
+    const total = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+    const capped = classification.type === 'system' || (verification && verification.status === 'invalid');
+    return { score: Math.min(capped ? CAPPED_SCORE : MAX_SCORE, total), breakdown };
+}
+
+/**
+ * Whether a scored email passes { emailTypes, minScore } filters
+ */
+function matchesEmailFilters(scored, filters = {}) {
+    if (filters.emailTypes && filters.emailTypes.length > 0 && !filters.emailTypes.includes(scored.type)) return false;
+    if (filters.minScore !== undefined && scored.score < filters.minScore) return false;
+    return true;
+}
+
+/**
+ * emailTypes / minScore validation
+ */
+function validateEmailFilters(filters) {
+    const errors = [];
+    if (filters.emailTypes !== undefined) {
+        if (!Array.isArray(filters.emailTypes) || !filters.emailTypes.every(type => EMAIL_TYPES.includes(type))) {
+            errors.push(`emailTypes must be an array of ${EMAIL_TYPES.map(type => `'${type}'`).join(', ')}`);
+        }
+    }
+    if (filters.minScore !== undefined) {
+        if (!Number.isInteger(filters.minScore) || filters.minScore < 0 || filters.minScore > MAX_SCORE) {
+            errors.push(`minScore must be an integer between 0 and ${MAX_SCORE}`);
+        }
+    }
+    return errors.length > 0 ? errors.join(', ') : null;
+}
+
+module.exports = {
+    classifyEmail,
+    scoreEmail,
+    matchesEmailFilters,
+    validateEmailFilters
+};
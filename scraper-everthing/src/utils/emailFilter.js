@@ -0,0 +1,86 @@
+/**
+ * Email false-positive filter
+ *
+ * Runs after cleanEmail on anything shaped like an address and rejects the
+ * ones that are not mailboxes, each with a reason code:
+ *
+ *   file_extension_tld    logo@2x.png, icon@3x.webp; extensions that are also TLDs (.zip,
+ *                         .mov) only after a size label like assets@2x.zip
+ *   documentation_domain  name@example.com, user@mail.test (RFC 2606 / 6761)
+ *   placeholder_domain    you@yourdomain.com, info@yourcompany.com
+ *   placeholder_local     firstname.lastname@firma.pl, imie.nazwisko@firma.pl
+ *   hex_hash_local        4f9c...e1@o12345.ingest.sentry.io
+ *   tracking_host         Sentry DSN hosts (o123.ingest.…, sentry.<other domain>) and
+ *                         other error/analytics reporting hosts
+ */
+
+const { isKnownTld } = require('./publicSuffix');
+
+const FILE_EXTENSIONS = new Set([
+    'png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'avif', 'bmp', 'ico', 'tif', 'tiff', 'heic',
+    'css', 'scss', 'js', 'mjs', 'cjs', 'ts', 'json', 'map', 'xml', 'txt', 'csv',
+    'woff', 'woff2', 'ttf', 'otf', 'eot',
+    'mp3', 'mp4', 'm4a', 'mov', 'webm', 'wav', 'ogg', 'avi',
+    'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'zip', 'gz', 'rar', '7z',
+    'php', 'html', 'htm', 'asp', 'aspx', 'jsp'
+]);
+
+// A file name's "domain" starts with a scale or size label: logo@2x.png, intro@1080p.mov. Required before
+// extensions that are real TLDs too (.zip, .mov), so jan@firma.zip stays an address
+const ASSET_SIZE_LABEL = /^\d+(?:x|p|px|w|h|k)?\./;
+
+// Reserved for documentation and testing; never deliverable
+const DOCUMENTATION_DOMAIN = /(?:^|\.)(?:example\.(?:com|net|org)|example|test|invalid|localhost|local)$/;
+
+// Template domains only; real businesses on generic names (company.com, test.com, domain.com) are kept
+const PLACEHOLDER_DOMAINS = new Set([
+    'yourdomain.com', 'your-domain.com', 'yoursite.com', 'yourwebsite.com', 'yourcompany.com', 'your-company.com', 'email.address',
+    'twojadomena.pl', 'twojafirma.pl', 'beispiel.de', 'musterfirma.de', 'exemple.fr', 'ejemplo.com'
+]);
+
+const PLACEHOLDER_LOCAL_PARTS = new Set([
+    'you', 'your.name', 'yourname', 'your.email', 'youremail', 'your-email', 'your_email', 'username', 'user.name',
+    'firstname', 'lastname', 'firstname.lastname', 'first.last', 'name.surname', 'john.doe', 'jane.doe', 'johndoe',
+    'imie.nazwisko', 'imie', 'nazwisko', 'vorname.nachname', 'max.mustermann', 'prenom.nom', 'nombre.apellido'
+]);
+
+// Hosts that show up in embedded error-reporting and analytics keys. Besides the known services, DSN-shaped
+// hosts count: Sentry ingest hosts ("o123.ingest.…") and a sentry subdomain of another domain (self-hosted),
+// but not a company's own sentry.com, sentry.pl or sentry.co.uk
+const TRACKING_HOST = /(?:^|\.)o\d+\.ingest\.|^sentry(?:-next)?\.(?!(?:co|com|org|net|ac|gov|edu)\.[a-z]{2}$)[^.]+\.[^.]+|(?:^|\.)(?:sentry\.io|sentry-cdn\.com|wixpress\.com|bugsnag\.com|rollbar\.com|raygun\.io|trackjs\.com|logrocket\.io|datadoghq\.com|newrelic\.com|nr-data\.net|segment\.io|mixpanel\.com|hotjar\.com|intercom-mail\.com)$/;
+
+// 16+ hex characters or a UUID: API keys and hashes, not names
+const HEX_HASH = /^(?:[a-f0-9]{16,}|[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})$/;
+
+/**
+ * Why a cleaned address is not a real mailbox, as { reason, detail }, or null if it looks genuine
+ */
+function checkEmailCandidate(email) {
+    const [local, domain] = String(email).toLowerCase().split('@');
+    if (!local || !domain) return { reason: 'malformed', detail: 'Missing local part or domain' };
+
+    const tld = domain.split('.').pop();
+    if (FILE_EXTENSIONS.has(tld) && (!isKnownTld(tld) || ASSET_SIZE_LABEL.test(domain))) {
+        return { reason: 'file_extension_tld', detail: `".${tld}" is a file extension` };
+    }
+    if (DOCUMENTATION_DOMAIN.test(domain)) {
+        return { reason: 'documentation_domain', detail: `${domain} is reserved for documentation` };
+    }
+    if (PLACEHOLDER_DOMAINS.has(domain)) {
+        return { reason: 'placeholder_domain', detail: `${domain} is a placeholder` };
+    }
+    if (TRACKING_HOST.test(domain)) {
+        return { reason: 'tracking_host', detail: `${domain} is an error-reporting or analytics host` };
+    }
+    if (HEX_HASH.test(local)) {
+        return { reason: 'hex_hash_local', detail: 'Local part is a hash or key' };
+    }
+    if (PLACEHOLDER_LOCAL_PARTS.has(local)) {
+        return { reason: 'placeholder_local', detail: `"${local}" is a placeholder` };
+    }
+    return null;
+}
+
+module.exports = {
+    checkEmailCandidate
+};
@@ -0,0 +1,206 @@
+/**
+ * Email deliverability checks
+ *
+ * Verifies scraped addresses without sending any mail:
+ *   syntax      RFC 5321 lengths (64-octet local part, 255-octet domain,
+ *               254-octet address) and dot-atom or quoted-string local parts
+ *   dns         MX records, else A/AAAA (the implicit MX); a null MX
+ *               (RFC 7505) means the domain takes no mail
+ *   disposable  throwaway inbox providers
+ *   catch-all   a candidate when the domain has wildcard DNS or its MX is a
+ *               forwarding service, where accept-all routing is the norm
+ *
+ * Each email gets a status: valid, risky (disposable or catch-all candidate),
+ * invalid, or unknown when DNS gave no answer. The resolver is anything with
+ * the resolveMx/resolve4/resolve6 methods of dns.promises.Resolver, so tests
+ * and air-gapped setups can point it at a stub.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { Resolver } = require('dns').promises;
+const { toASCIIDomain, getRegistrableDomain } = require('./publicSuffix');
+
+const MAX_LOCAL_PART_OCTETS = 64;
+const MAX_DOMAIN_OCTETS = 255;
+const MAX_ADDRESS_OCTETS = 254;
+const DEFAULT_CONCURRENCY = 10;
+
+const DOT_ATOM = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+// Printable ASCII except " and \, which must be escaped
+const QUOTED_STRING = /^"(?:[\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+
+const DISPOSABLE_DOMAINS = new Set([
+    'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'guerrillamail.org', 'sharklasers.com', 'grr.la',
+    '10minutemail.com', '10minutemail.net', 'tempmail.com', 'temp-mail.org', 'temp-mail.io', 'tempmailo.com',
+    'throwawaymail.com', 'yopmail.com', 'yopmail.fr', 'yopmail.net', 'trashmail.com', 'trashmail.de',
+    'getnada.com', 'nada.email', 'dispostable.com', 'maildrop.cc', 'mailnesia.com', 'mintemail.com',
+    'mohmal.com', 'fakeinbox.com', 'emailondeck.com', 'spamgourmet.com', 'mailcatch.com', 'tempr.email',
+    'discard.email', 'moakt.com', 'mytemp.email', 'burnermail.io', 'inboxkitten.com', 'tempinbox.com',
+    'fakemail.net', 'mailpoof.com', 'spambox.us', 'wegwerfmail.de', 'einrot.com', 'jetable.org'
+]);
+
+// Mail forwarding services, usually set up to route every local part
+const FORWARDING_MX = /(?:^|\.)(?:improvmx\.com|forwardemail\.net|mx\.cloudflare\.net|registrar-servers\.com|porkbun\.com|forwardmx\.io|mailgun\.org|pobox\.com)$/;
+
+// Resolver errors that mean "no such records" rather than "could not ask"
+const NO_DATA_CODES = new Set(['ENODATA', 'ENOTFOUND', 'NXDOMAIN']);
+
+/**
+ * Why an address breaks RFC 5321 syntax or length limits, or null if it doesn't
+ */
+function checkEmailSyntax(email) {
+    const address = String(email || '');
+    const at = address.lastIndexOf('@');
+    if (at < 1 || at === address.length - 1) return 'Missing local part or domain';
+
+    const local = address.slice(0, at);
+    const domain = toASCIIDomain(address.slice(at + 1));
+    if (!domain) return 'Domain is not a valid hostname';
+
+    if (Buffer.byteLength(local) > MAX_LOCAL_PART_OCTETS) return `Local part is longer than ${MAX_LOCAL_PART_OCTETS} octets`;
+    if (domain.length > MAX_DOMAIN_OCTETS) return `Domain is longer than ${MAX_DOMAIN_OCTETS} octets`;
+    if (Buffer.byteLength(local) + 1 + domain.length > MAX_ADDRESS_OCTETS) return `Address is longer than ${MAX_ADDRESS_OCTETS} octets`;
+
+    if (local.startsWith('"')) {
+        return QUOTED_STRING.test(local) ? null : 'Quoted local part has unescaped or invalid characters';
+    }
+    if (!DOT_ATOM.test(local)) {
+        return /^\.|\.$|\.\./.test(local) ? 'Local part has a leading, trailing or double dot' : 'Local part has characters that need quoting';
+    }
+    return null;
+}
+
+/**
+ * dnsServers option validation: "ip" or "ip:port" strings ("[ipv6]:port" for IPv6 with a port)
+ */
+function validateDnsServers(servers) {
+    if (!Array.isArray(servers)) return 'dnsServers must be an array of "ip" or "ip:port" strings';
+
+    const invalid = servers.filter(server => {
+        if (typeof server !== 'string') return true;
+        const match = server.match(/^\[([^\]]+)\](?::(\d{1,5}))?$/) || server.match(/^([^:]+)(?::(\d{1,5}))?$/) || [null, server];
+        return !net.isIP(match[1]) || (match[2] !== undefined && Number(match[2]) > 65535);
+    });
+    return invalid.length > 0 ? `dnsServers has invalid entries: ${invalid.join(', ')}` : null;
+}
+
+class EmailVerifier {
+    constructor(options = {}) {
+        this.timeout = options.dnsTimeout || 5000;
+        this.resolver = options.dnsResolver || new Resolver({ timeout: this.timeout, tries: 2 });
+        if (!options.dnsResolver && options.dnsServers && options.dnsServers.length > 0) {
+            this.resolver.setServers(options.dnsServers);
+        }
+        this.disposableDomains = new Set([...DISPOSABLE_DOMAINS, ...(options.disposableDomains || []).map(domain => domain.toLowerCase())]);
+        this.domainCache = new Map(); // ASCII domain -> Promise of its DNS findings
+    }
+
+    // A resolver call that gives up after the timeout, so a stuck stub can't hang the crawl
+    async query(method, domain) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(Object.assign(new Error(`DNS ${method} ${domain} timed out`), { code: 'ETIMEOUT' })), this.timeout);
+        });
+        try {
+            return await Promise.race([this.resolver[method](domain), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Records of one type: [] when the domain has none, null when the lookup failed
+    async lookup(method, domain) {
+        try {
+            return await this.query(method, domain);
+        } catch (error) {
+            return NO_DATA_CODES.has(error.code) ? [] : null;
+        }
+    }
+
+    // { dns: 'mx' | 'a' | 'null-mx' | 'none' | 'error', mailServers, catchAllCandidate }
+    async checkDomain(domain) {
+        const mx = await this.lookup('resolveMx', domain);
+        if (mx === null) return { dns: 'error', mailServers: [], catchAllCandidate: false };
+
+        const mailServers = mx.slice().sort((a, b) => a.priority - b.priority)
+            .map(record => record.exchange.replace(/\.$/, '').toLowerCase());
+        if (mailServers.length === 1 && mailServers[0] === '') {
+            return { dns: 'null-mx', mailServers: [], catchAllCandidate: false };
+        }
+
+        let dns = 'mx';
+        if (mailServers.length === 0) {
+            const ipv4 = await this.lookup('resolve4', domain);
+            const ipv6 = ipv4 && ipv4.length > 0 ? [] : await this.lookup('resolve6', domain);
+            if ((ipv4 && ipv4.length > 0) || (ipv6 && ipv6.length > 0)) {
+                dns = 'a';
+            } else {
+                return { dns: ipv4 === null || ipv6 === null ? 'error' : 'none', mailServers: [], catchAllCandidate: false };
+            }
+        }
+
+        // A random subdomain that still resolves means wildcard DNS
+        const probe = await this.lookup(dns === 'mx' ? 'resolveMx' : 'resolve4', `${crypto.randomBytes(6).toString('hex')}.${domain}`);
+        const catchAllCandidate = (probe !== null && probe.length > 0) || mailServers.some(server => FORWARDING_MX.test(server));
+        return { dns, mailServers, catchAllCandidate };
+    }
+
+    isDisposable(domain) {
+        return this.disposableDomains.has(domain) || this.disposableDomains.has(getRegistrableDomain(domain));
+    }
+
+    /**
+     * Verification result for one address:
+     * { status, reasons, syntaxError, dns, mailServers, disposable, catchAllCandidate }
+     */
+    async verify(email) {
+        const syntaxError = checkEmailSyntax(email);
+        const result = { status: 'invalid', reasons: [], syntaxError, dns: null, mailServers: [], disposable: false, catchAllCandidate: false };
+        if (syntaxError) {
+            result.reasons.push('syntax');
+            return result;
+        }
+
+        const domain = toASCIIDomain(email.slice(email.lastIndexOf('@') + 1));
+        if (!this.domainCache.has(domain)) this.domainCache.set(domain, this.checkDomain(domain));
+        Object.assign(result, await this.domainCache.get(domain));
+        result.disposable = this.isDisposable(domain);
+
+        if (result.dns === 'none') result.reasons.push('no_mail_server');
+        if (result.dns === 'null-mx') result.reasons.push('null_mx');
+        if (result.dns === 'error') result.reasons.push('dns_error');
+        if (result.disposable) result.reasons.push('disposable');
+        if (result.catchAllCandidate) result.reasons.push('catch_all');
+
+        if (result.dns === 'none' || result.dns === 'null-mx') {
+            result.status = 'invalid';
+        } else if (result.dns === 'error') {
+            result.status = 'unknown';
+        } else {
+            result.status = result.disposable || result.catchAllCandidate ? 'risky' : 'valid';
+        }
+        return result;
+    }
+
+    /**
+     * Verify a list of addresses a few at a time: { email: result }
+     */
+    async verifyAll(emails, concurrency = DEFAULT_CONCURRENCY) {
+        const results = {};
+        for (let i = 0; i < emails.length; i += concurrency) {
+            const batch = emails.slice(i, i + concurrency);
+            const verified = await Promise.all(batch.map(email => this.verify(email)));
+            batch.forEach((email, index) => {
+                results[email] = verified[index];
+            });
+        }
+        return results;
+    }
+}
+
+module.exports = {
+    EmailVerifier,
+    checkEmailSyntax,
+    validateDnsServers
+};
@@ -0,0 +1,82 @@
+/**
+ * Fetch error classification
+ *
+ * Maps page fetch failures (axios/Node network errors, Puppeteer navigation
+ * errors and HTTP status codes) to a category and whether a retry may help.
+ */
+
+const TRANSIENT_STATUS_CATEGORIES = {
+    408: 'timeout',
+    425: 'server_error',
+    429: 'rate_limited',
+    500: 'server_error',
+    502: 'server_error',
+    503: 'server_error',
+    504: 'timeout'
+};
+
+// [category, transient, test]
+const ERROR_RULES = [
+    ['timeout', true, (code, message, name) => name === 'TimeoutError' || ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'].includes(code) || /timeout|ERR_TIMED_OUT/i.test(message)],
+    ['dns_temporary', true, (code) => code === 'EAI_AGAIN'],
+    ['dns', false, (code, message) => code === 'ENOTFOUND' || /ERR_NAME_NOT_RESOLVED|getaddrinfo/i.test(message)],
+    ['tls', false, (code, message) => /^(CERT_|ERR_TLS|ERR_SSL|DEPTH_ZERO|SELF_SIGNED|UNABLE_TO_VERIFY)/.test(code || '') || /ERR_CERT_|ERR_SSL_/i.test(message)],
+    ['connection', true, (code, message) => ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH'].includes(code) || /socket hang up|ERR_CONNECTION_|ERR_EMPTY_RESPONSE|ERR_NETWORK_CHANGED/i.test(message)],
+    // ERR_ABORTED is usually a download or a page cancelling its own load; retrying gets the same
+    ['navigation_aborted', false, (code, message) => /ERR_ABORTED/i.test(message)],
+    ['navigation_interrupted', true, (code, message) => /Navigating frame was detached|Target closed/i.test(message)],
+    ['redirect_loop', false, (code, message) => /too many redirects|ERR_TOO_MANY_REDIRECTS/i.test(message)],
+    ['too_large', false, (code, message) => /Response larger than/i.test(message)],
+    ['browser_unavailable', false, (code, message) => /Could not find (Chrome|Chromium|browser)|Failed to launch the browser/i.test(message)]
+];
+
+/**
+ * Classify an HTTP status; returns null for statuses that are not failures
+ */
+function classifyHttpStatus(status) {
+    if (!status || status < 400) return null;
+
+    if (TRANSIENT_STATUS_CATEGORIES[status]) {
+        return { category: TRANSIENT_STATUS_CATEGORIES[status], transient: true, message: `HTTP ${status}` };
+    }
+
+    return {
+        category: status >= 500 ? 'server_error' : 'client_error',
+        transient: false,
+        message: `HTTP ${status}`
+    };
+}
+
+/**
+ * Classify a thrown fetch/navigation error
+ */
+function classifyFetchError(error) {
+    const code = error && error.code;
+    const message = (error && error.message) || String(error);
+    const name = error && error.name;
+
+    const rule = ERROR_RULES.find(([, , test]) => test(code, message, name));
+    if (rule) {
+        return { category: rule[0], transient: rule[1], message };
+    }
+    return { category: 'other', transient: false, message };
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = {
+    classifyHttpStatus,
+    classifyFetchError,
+    parseRetryAfter
+};
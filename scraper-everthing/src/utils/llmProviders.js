@@ -0,0 +1,219 @@
+/**
+ * LLM providers for AI categorization
+ *
+ * A provider is anything with `async complete(messages, context)` returning the
+ * model's reply text; messages are OpenAI-style { role, content } pairs and
+ * context.data is the record being categorized. Built-in providers:
+ *   openrouter  OpenRouter (the default)
+ *   openai      the OpenAI API
+ *   ollama      a local Ollama server (http://localhost:11434/v1)
+ *   llamacpp    a local llama.cpp server (http://localhost:8080/v1)
+ *   mock        deterministic answers built from the data, no network
+ * Every preset except mock speaks the OpenAI chat completions API, so any
+ * compatible server works by giving its base URL.
+ */
+
+const PROVIDER_PRESETS = {
+    openrouter: {
+        baseUrl: 'https://openrouter.ai/api/v1',
+        model: 'google/gemini-flash-1.5',
+        headers: { 'HTTP-Referer': 'https://email-scraper-dashboard.com', 'X-Title': 'Email Scraper AI Categorization' }
+    },
+    openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+    ollama: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' },
+    llamacpp: { baseUrl: 'http://localhost:8080/v1', model: 'default' } // llama.cpp serves whatever model it loaded
+};
+const PROVIDER_NAMES = [...Object.keys(PROVIDER_PRESETS), 'mock'];
+
+const DEFAULT_SYSTEM_PROMPT = `You are an AI assistant that processes contact and business data.
+Given the provided data, return a JSON object with these fields:
+{
+    "names": ["extracted or inferred person names"],
+    "keywords": ["20-30 most relevant keywords"],
+    "industries": ["inferred industries"],
+    "seniority": ["junior", "mid", "senior", "executive"],
+    "departments": ["inferred departments"],
+    "confidence": 0.95
+}
+
+Rules:
+- Extract names from email addresses, job titles, or other context
+- Filter keywords to remove generic/navigation words
+- Infer industries from job titles and company names
+- Assign seniority levels based on job titles
+- Return only valid JSON, no markdown`;
+const DEFAULT_PROMPT_TEMPLATE = 'Process this contact data: {{data}}';
+const MAX_PROMPT_LENGTH = 10000;
+
+// First match wins, so "Senior Sales Director" is executive
+const SENIORITY_PATTERNS = [
+    ['executive', /\b(?:ceo|cto|cfo|coo|chief|president|founder|owner|director|vp|partner|prezes|dyrektor|geschäftsführer)\b/i],
+    ['senior', /\b(?:senior|lead|head|principal|manager|kierownik|leiter)\b/i],
+    ['junior', /\b(?:junior|intern|trainee|assistant|stażysta|praktikant)\b/i]
+];
+const DEPARTMENT_PATTERNS = [
+    ['sales', /\b(?:sales|account|business development|sprzedaż|vertrieb)/i],
+    ['marketing', /\b(?:marketing|brand|pr|communications)\b/i],
+    ['engineering', /\b(?:engineer|developer|software|cto|it|programista)/i],
+    ['hr', /\b(?:hr|human resources|recruit|talent|people)/i],
+    ['finance', /\b(?:finance|financial|accountant|accounting|cfo|księgow)/i],
+    ['support', /\b(?:support|customer service|helpdesk)/i]
+];
+
+// "{{data}}" in a template replaced by the record as JSON
+function renderPrompt(template, data) {
+    return template.split('{{data}}').join(JSON.stringify(data));
+}
+
+// Model reply with an optional ```json fence removed, parsed
+function parseJsonContent(content) {
+    const cleanContent = content.trim().replace(/^```(?:json)?\s*\n/, '').replace(/\n```\s*$/, '');
+    return JSON.parse(cleanContent);
+}
+
+class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey = null, model, temperature = 0.1, maxTokens = 300, timeout = 30000, headers = {} }) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.temperature = temperature;
+        this.maxTokens = maxTokens;
+        this.timeout = timeout;
+        this.headers = headers;
+        this.description = `${model} via ${new URL(this.baseUrl).host}`;
+    }
+
+    async complete(messages) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                // Local servers take no key
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+                ...this.headers
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages,
+                max_tokens: this.maxTokens,
+                temperature: this.temperature
+            }),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`AI provider returned HTTP ${response.status}`);
+        }
+        const result = await response.json();
+        return result.choices?.[0]?.message?.content || null;
+    }
+}
+
+class MockProvider {
+    // response: a fixed reply object, or a function (data, messages) => reply object
+    constructor({ response = null } = {}) {
+        this.response = response;
+        this.description = 'mock provider';
+        this.calls = []; // Messages of every request, for tests
+    }
+
+    async complete(messages, context = {}) {
+        this.calls.push(messages);
+        const data = context.data || {};
+        let reply;
+        if (typeof this.response === 'function') {
+            reply = this.response(data, messages);
+        } else {
+            reply = this.response || this.categorize(data);
+        }
+        return typeof reply === 'string' ? reply : JSON.stringify(reply);
+    }
+
+    // Seniority and departments read off the job titles, the rest passed through
+    categorize(data) {
+        const jobTitles = data.jobTitles || [];
+        const matching = patterns => patterns.filter(([, pattern]) => jobTitles.some(title => pattern.test(title))).map(([label]) => label);
+        const seniority = jobTitles.map(title => {
+            const match = SENIORITY_PATTERNS.find(([, pattern]) => pattern.test(title));
+            return match ? match[0] : 'mid';
+        });
+
+        return {
+            names: data.names || [],
+            keywords: (data.keywords || []).slice(0, 30),
+            industries: [],
+            seniority: [...new Set(seniority)],
+            departments: matching(DEPARTMENT_PATTERNS),
+            confidence: 0.5
+        };
+    }
+}
+
+/**
+ * Provider for the scraper's ai* options: a preset name or an object with complete()
+ */
+function createLLMProvider(options = {}) {
+    const provider = options.aiProvider || 'openrouter';
+    if (typeof provider === 'object' && typeof provider.complete === 'function') return provider;
+    if (provider === 'mock') return new MockProvider();
+
+    const preset = PROVIDER_PRESETS[provider];
+    if (!preset) {
+        throw new Error(`Unknown AI provider "${provider}"; use one of ${PROVIDER_NAMES.join(', ')} or an object with complete()`);
+    }
+    return new OpenAICompatibleProvider({
+        baseUrl: options.aiBaseUrl || preset.baseUrl,
+        // The legacy OpenRouter key only ever goes to OpenRouter
+        apiKey: options.aiApiKey || (provider === 'openrouter' ? options.openRouterApiKey : null),
+        model: options.aiModel || preset.model,
+        temperature: options.aiTemperature,
+        maxTokens: options.aiMaxTokens,
+        timeout: options.timeout,
+        headers: preset.headers
+    });
+}
+
+/**
+ * Per-request AI option validation; the provider, endpoint and key are server settings
+ */
+function validateAIOptions(options) {
+    const errors = [];
+    ['aiProvider', 'aiBaseUrl', 'aiApiKey'].forEach(option => {
+        if (options[option] !== undefined) errors.push(`${option} cannot be set per request`);
+    });
+
+    if (options.aiModel !== undefined && (typeof options.aiModel !== 'string' || !options.aiModel.trim() || options.aiModel.length > 200)) {
+        errors.push('aiModel must be a non-empty string of up to 200 characters');
+    }
+    if (options.aiTemperature !== undefined) {
+        if (typeof options.aiTemperature !== 'number' || !(options.aiTemperature >= 0 && options.aiTemperature <= 2)) {
+            errors.push('aiTemperature must be a number between 0 and 2');
+        }
+    }
+    if (options.aiMaxTokens !== undefined) {
+        if (!Number.isInteger(options.aiMaxTokens) || options.aiMaxTokens < 16 || options.aiMaxTokens > 4096) {
+            errors.push('aiMaxTokens must be an integer between 16 and 4096');
+        }
+    }
+    if (options.aiSystemPrompt !== undefined && (typeof options.aiSystemPrompt !== 'string' || options.aiSystemPrompt.length > MAX_PROMPT_LENGTH)) {
+        errors.push(`aiSystemPrompt must be a string of up to ${MAX_PROMPT_LENGTH} characters`);
+    }
+    if (options.aiPromptTemplate !== undefined) {
+        if (typeof options.aiPromptTemplate !== 'string' || options.aiPromptTemplate.length > MAX_PROMPT_LENGTH || !options.aiPromptTemplate.includes('{{data}}')) {
+            errors.push(`aiPromptTemplate must be a string of up to ${MAX_PROMPT_LENGTH} characters containing {{data}}`);
+        }
+    }
+    return errors.length > 0 ? errors.join(', ') : null;
+}
+
+module.exports = {
+    PROVIDER_NAMES,
+    DEFAULT_SYSTEM_PROMPT,
+    DEFAULT_PROMPT_TEMPLATE,
+    OpenAICompatibleProvider,
+    MockProvider,
+    createLLMProvider,
+    validateAIOptions,
+    renderPrompt,
+    parseJsonContent
+};
@@ -0,0 +1,199 @@
+/**
+ * Locale data and patterns for person-name extraction
+ *
+ * Names are matched with Unicode letter classes so "Łukasz Żółć", "José Núñez",
+ * "O'Brien", "Nowak-Kowalska" and "Ludwig van der Berg" survive intact. The
+ * false-positive phrases and stopwords of the page's language are applied on
+ * top of the English ones, since most sites mix English navigation into
+ * localized content.
+ */
+
+// Lowercase particles allowed between name words ("van der", "de la", "von")
+const NAME_PARTICLES = ['van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'du', 'dos', 'das', 'la', 'le', 'ter', 'ten', 'zu', 'zur', 'zum', 'y', 'bin', 'ibn', 'al'];
+
+const NAME_LOCALES = {
+    en: {
+        honorifics: ['Mr.', 'Mrs.', 'Ms.', 'Dr.', 'Prof.', 'Sir', 'Madam', 'Lady'],
+        falsePositives: [
+            'About Us', 'Contact Us', 'Privacy Policy', 'Terms of Service',
+            'Home Page', 'Main Menu', 'Navigation', 'Footer', 'Header',
+            'Search Results', 'Page Title', 'Meta Description', 'Alt Text',
+            'Click Here', 'Read More', 'Learn More', 'Get Started',
+            'Sign Up', 'Log In', 'Subscribe', 'Newsletter', 'Blog Post',
+            'Product Name', 'Company Name', 'Brand Name', 'Service Name',
+            'About Our', 'Our Services', 'Contact Information', 'Team Members',
+            'Leadership Team', 'Navigation Menu', 'Side Menu',
+            'Top Menu', 'Bottom Menu', 'Footer Menu', 'Header Menu'
+        ],
+        stopwords: [
+            'About', 'Contact', 'Home', 'Menu', 'Navigation', 'Services', 'Products', 'Company', 'Team', 'Our', 'The', 'And', 'Or', 'But', 'For', 'With', 'From', 'To', 'In', 'On', 'At', 'By', 'Of', 'A', 'An',
+            'Email', 'Phone', 'Tel', 'Fax', 'Mobile', 'Office', 'Head', 'Sales', 'Support', 'Street', 'Privacy', 'Policy', 'Terms', 'Cookies', 'Copyright', 'Rights', 'Reserved',
+            'Meet', 'Welcome', 'Dear', 'Hello', 'Hi', 'Thanks', 'Call', 'Ask', 'Write',
+            'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'
+        ],
+        contextWords: ['contact', 'about', 'team', 'staff', 'member'],
+        roleWords: ['CEO', 'CTO', 'CFO', 'COO', 'VP', 'Director', 'Manager', 'Lead', 'Senior', 'Junior', 'Developer', 'Engineer', 'Designer', 'Analyst', 'Consultant', 'Specialist', 'Coordinator', 'Assistant', 'Intern']
+    },
+    pl: {
+        honorifics: ['Pan', 'Pani', 'dr', 'Dr', 'dr hab.', 'mgr', 'inż.', 'mgr inż.', 'prof.', 'Prof.'],
+        falsePositives: [
+            'Polityka Prywatności', 'Strona Główna', 'Skontaktuj Się', 'Czytaj Więcej', 'Dowiedz Się',
+            'Nasz Zespół', 'Mapa Strony', 'Wszystkie Prawa', 'Prawa Zastrzeżone', 'Dane Kontaktowe',
+            'Zapisz Się', 'Zaloguj Się', 'Sklep Internetowy', 'Godziny Otwarcia', 'Formularz Kontaktowy'
+        ],
+        stopwords: [
+            'Kontakt', 'Strona', 'Główna', 'Oferta', 'Oferty', 'Usługi', 'Produkty', 'Firma', 'Firmie', 'Zespół', 'Nasz', 'Nasza', 'Nasze', 'Nasi', 'Polityka', 'Prywatności', 'Regulamin',
+            'Aktualności', 'Sklep', 'Koszyk', 'Realizacje', 'Galeria', 'Cennik', 'Praca', 'Kariera', 'Ulica', 'Ul', 'Biuro', 'Dział', 'Spółka', 'Adres', 'Telefon', 'Godziny', 'Otwarcia',
+            'Zobacz', 'Więcej', 'Czytaj', 'Napisz', 'Zadzwoń', 'Formularz', 'Wyślij', 'Zapytanie', 'Jesteśmy', 'Zapraszamy', 'Witamy', 'Prezes', 'Zarządu', 'Dyrektor', 'Kierownik', 'Właściciel',
+            'Ten', 'Ta', 'To', 'Na', 'Do', 'Od', 'Po', 'Przez', 'Dla', 'Oraz', 'Lub', 'Nie', 'Jak', 'Co', 'Gdzie', 'Polska', 'Warszawa', 'Kraków', 'Gdańsk', 'Wrocław', 'Poznań', 'Łódź',
+            'Poniedziałek', 'Wtorek', 'Środa', 'Czwartek', 'Piątek', 'Sobota', 'Niedziela'
+        ],
+        contextWords: ['kontakt', 'zespół', 'o nas', 'pracownicy', 'osoba kontaktowa'],
+        roleWords: ['Prezes', 'Wiceprezes', 'Dyrektor', 'Kierownik', 'Właściciel', 'Specjalista', 'Specjalistka', 'Księgowa', 'Handlowiec', 'Doradca', 'Asystentka', 'Koordynator']
+    },
+    de: {
+        honorifics: ['Herr', 'Frau', 'Dr.', 'Prof.', 'Dipl.-Ing.', 'Dipl.-Kfm.'],
+        falsePositives: [
+            'Allgemeine Geschäftsbedingungen', 'Alle Rechte', 'Rechte Vorbehalten', 'Mehr Erfahren', 'Unser Team',
+            'Über Uns', 'Sehr Geehrte', 'Sehr Geehrter', 'Damen Und Herren', 'Jetzt Anfragen', 'Termin Vereinbaren'
+        ],
+        stopwords: [
+            'Impressum', 'Datenschutz', 'Datenschutzerklärung', 'Kontakt', 'Startseite', 'Unternehmen', 'Leistungen', 'Produkte', 'Team', 'Unser', 'Unsere', 'Über', 'Uns', 'Mehr', 'Alle',
+            'Rechte', 'Geschäftsführer', 'Geschäftsführerin', 'Inhaber', 'Inhaberin', 'Ansprechpartner', 'Ansprechpartnerin', 'Straße', 'Str', 'Telefon', 'Telefax', 'Fax', 'Anfahrt',
+            'Öffnungszeiten', 'Kunden', 'Service', 'Angebot', 'Termin', 'Jetzt', 'Hier', 'Seite', 'Nachricht', 'Anfrage', 'Bitte', 'Sehr', 'Geehrte', 'Geehrter', 'Damen', 'Herren',
+            'Sitz', 'Amtsgericht', 'Registergericht', 'Handelsregister', 'Steuernummer', 'Umsatzsteuer', 'Vertreten', 'Durch', 'Verantwortlich', 'Inhalt', 'Haftung', 'Urheberrecht',
+            'Gesellschaft', 'Deutschland', 'Österreich', 'Schweiz', 'Der', 'Die', 'Das', 'Und', 'Mit', 'Für', 'Im', 'Am', 'Bei', 'Auf', 'Aus', 'Nach', 'Wir', 'Sie', 'Ihr', 'Ihre', 'Ein', 'Eine',
+            'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag', 'Sonntag'
+        ],
+        contextWords: ['kontakt', 'ansprechpartner', 'team', 'über uns', 'vertreten durch', 'geschäftsführer'],
+        roleWords: ['Geschäftsführer', 'Geschäftsführerin', 'Inhaber', 'Inhaberin', 'Leiter', 'Leiterin', 'Vorstand', 'Prokurist', 'Ansprechpartner', 'Ansprechpartnerin', 'Vertrieb', 'Berater', 'Beraterin']
+    }
+};
+
+// Common function words used to guess a page's language when it does not declare one
+const LANGUAGE_HINTS = {
+    en: ['the', 'and', 'of', 'to', 'for', 'with', 'is', 'are', 'our', 'you', 'we', 'on'],
+    pl: ['i', 'w', 'z', 'na', 'się', 'nie', 'jest', 'oraz', 'dla', 'do', 'że', 'jak', 'przez', 'lub'],
+    de: ['und', 'der', 'die', 'das', 'mit', 'für', 'ist', 'nicht', 'wir', 'auf', 'den', 'von', 'zu', 'ein', 'eine']
+};
+const MIN_LANGUAGE_HINTS = 5;
+
+// Locales and compiled patterns are reused across pages
+const localeCache = new Map();
+const patternCache = new WeakMap();
+
+const NAME_WORD = "(?:d['’])?(?:Ma?c\\p{Lu}\\p{Ll}+|\\p{Lu}(?:\\p{Ll}+|['’]\\p{Lu}\\p{Ll}+))(?:-\\p{Lu}\\p{Ll}+)?";
+const NAME_START = "(?<![\\p{L}\\p{M}\\p{N}'’-])";
+const NAME_END = '(?![\\p{L}\\p{M}\\p{N}])';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Case-insensitive source for a keyword without the `i` flag, which would make \p{Lu} match lowercase too
+function caseInsensitiveSource(word) {
+    return [...escapeRegExp(word)].map(char => {
+        const lower = char.toLowerCase();
+        const upper = char.toUpperCase();
+        return lower === upper ? char : `[${lower}${upper}]`;
+    }).join('').replace(/ /g, '\\s+');
+}
+
+/**
+ * Name lists for a language merged with the English ones
+ */
+function getNameLocale(language) {
+    const base = NAME_LOCALES.en;
+    const locale = language && language !== 'en' ? NAME_LOCALES[language] : null;
+    const key = locale ? language : 'en';
+    if (localeCache.has(key)) return localeCache.get(key);
+
+    const merge = (field) => [...new Set([...base[field], ...(locale ? locale[field] : [])])];
+    const merged = {
+        language: key,
+        honorifics: merge('honorifics'),
+        falsePositives: merge('falsePositives').map(phrase => phrase.toLowerCase()),
+        stopwords: new Set(merge('stopwords').map(word => word.toLowerCase())),
+        contextWords: merge('contextWords'),
+        roleWords: merge('roleWords'),
+        particles: new Set(NAME_PARTICLES)
+    };
+    // Lowercased lookups used when validating and trimming candidate names
+    merged.honorificWords = new Set(merged.honorifics.flatMap(honorific => honorific.split(' ')));
+    merged.roleWordSet = new Set(merged.roleWords.map(role => role.toLowerCase()));
+    localeCache.set(key, merged);
+    return merged;
+}
+
+/**
+ * Regexes for name extraction in a language
+ */
+function buildNamePatterns(locale) {
+    if (patternCache.has(locale)) return patternCache.get(locale);
+
+    const particles = `(?:(?:${NAME_PARTICLES.join('|')})\\s+){0,2}`;
+    const name = `${NAME_WORD}(?:\\s+${particles}${NAME_WORD}){1,3}`;
+    const honorifics = [...locale.honorifics].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    const roles = locale.roleWords.map(caseInsensitiveSource).join('|');
+    const contexts = locale.contextWords.map(caseInsensitiveSource).join('|');
+
+    const patterns = {
+        names: [
+            // Name with title: Mr. John Doe, dr Łukasz Żółć, Herr Jürgen Müller
+            new RegExp(`${NAME_START}(?:${honorifics})\\s+${name}${NAME_END}`, 'gu'),
+            // Full name with middle initial: John A. Doe
+            new RegExp(`${NAME_START}${NAME_WORD}\\s+\\p{Lu}\\.\\s+${NAME_WORD}${NAME_END}`, 'gu'),
+            // Full name, with particles: Jane Smith, José Núñez, Ludwig van der Berg
+            new RegExp(`${NAME_START}${name}${NAME_END}`, 'gu'),
+            // Name with suffix: John Doe Jr., Jane Smith III
+            new RegExp(`${NAME_START}${name}\\s+(?:Jr\\.|Sr\\.|I|II|III|IV)${NAME_END}`, 'gu'),
+            // Name in quotes: "John Doe", „Anna Nowak”
+            new RegExp(`["'„“]${name}["'“”]`, 'gu'),
+            // Name in parentheses: (John Doe), [Jane Smith]
+            new RegExp(`[\\(\\[]${name}[\\)\\]]`, 'gu')
+        ],
+        // Name right before an email address
+        nearEmail: new RegExp(`${NAME_START}(${name})\\s*[<\\[\\(]?[\\p{L}\\p{N}._%+-]+@[\\p{L}\\p{N}.-]+\\.\\p{L}{2,}[>\\]\\)]?`, 'gu'),
+        // Name followed by a job title: Anna Nowak, Prezes Zarządu
+        nearRole: new RegExp(`${NAME_START}(${name})\\s*[,:–-]\\s*(?:${roles})`, 'gu'),
+        // First name after a contact/team heading
+        inSection: new RegExp(`(?:${contexts})[\\s\\S]*?${NAME_START}(${name})${NAME_END}`, 'gu')
+    };
+    patternCache.set(locale, patterns);
+    return patterns;
+}
+
+/**
+ * Primary language of a page: the declared lang, else a guess from common words
+ */
+function detectPageLanguage($, text = '') {
+    const declared = $('html').attr('lang')
+        || $('html').attr('xml:lang')
+        || $('meta[http-equiv="content-language" i]').attr('content')
+        || $('meta[property="og:locale"]').attr('content');
+    if (declared) {
+        const primary = declared.trim().split(/[-_,\s]/)[0].toLowerCase();
+        if (primary) return primary;
+    }
+
+    const words = text.slice(0, 20000).toLowerCase().split(/[^\p{L}]+/u);
+    let best = null;
+    let bestCount = MIN_LANGUAGE_HINTS - 1;
+    Object.keys(LANGUAGE_HINTS).forEach(language => {
+        const hints = new Set(LANGUAGE_HINTS[language]);
+        const count = words.filter(word => hints.has(word)).length;
+        if (count > bestCount) {
+            best = language;
+            bestCount = count;
+        }
+    });
+    return best || 'en';
+}
+
+module.exports = {
+    NAME_PARTICLES,
+    NAME_LOCALES,
+    getNameLocale,
+    buildNamePatterns,
+    detectPageLanguage
+};
@@ -0,0 +1,43 @@
+/**
+ * PDF text extraction
+ *
+ * Text is extracted locally with pdf-parse (pdf.js); documents are never sent
+ * to a remote service. Each page comes back separately so provenance can
+ * point at a page number:
+ *
+ *   [{ page: 1, text: '...' }, ...]
+ */
+
+/**
+ * Text of the first maxPages pages of a PDF buffer
+ */
+async function extractPdfPages(buffer, maxPages = 50) {
+    // Loaded on first use, since only PDF scanning depends on it
+    const { PDFParse } = require('pdf-parse');
+    const parser = new PDFParse({ data: buffer });
+    try {
+        const result = await parser.getText({ first: maxPages });
+        return result.pages
+            .map(page => ({ page: page.num, text: page.text.replace(/\s+/g, ' ').trim() }))
+            .filter(page => page.text);
+    } finally {
+        await parser.destroy();
+    }
+}
+
+/**
+ * Whether a link points at a PDF document
+ */
+function isPdfLink(href, type) {
+    if (type && /application\/pdf/i.test(type)) return true;
+    try {
+        return /\.pdf$/i.test(new URL(href, 'http://localhost').pathname);
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    extractPdfPages,
+    isPdfLink
+};
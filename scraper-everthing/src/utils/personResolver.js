@@ -0,0 +1,229 @@
+/**
+ * Person entity resolution
+ *
+ * Clusters a crawl's personal emails into people. Two emails are linked by:
+ *   shared_block    the same contact card or markup entity lists both,
+ *                   and the local parts fit its name                       0.9
+ *   same_name       both carry the same full name                          0.85
+ *   shared_profile  both link the same person's social profile             0.8
+ *   similar_name    same surname, first names one typo or an initial apart 0.75
+ *   local_part      same domain, and one local part spells the other's
+ *                   name (jkowalski@, kowalski.j@ for Jan Kowalski)         0.7
+ *                   or just its surname (kowalski@)                         0.65
+ *
+ * Links are applied strongest first; two clusters whose names disagree are
+ * never joined. A person's mergeConfidence is its weakest link (null for a
+ * single email). Profiles whose handle spells a person's name
+ * (linkedin.com/in/jan-kowalski-1a2b) are attached to that person.
+ */
+
+const { getRegistrableDomain } = require('./publicSuffix');
+const { mergeSocialMedia } = require('./socialProfiles');
+const { mergeCompanies } = require('./companyNames');
+
+const LINK_SCORES = {
+    shared_block: 0.9,
+    same_name: 0.85,
+    shared_profile: 0.8,
+    similar_name: 0.75,
+    local_part: 0.7,
+    surname_local_part: 0.65
+};
+
+// Letters NFD doesn't split into base letter and accent
+const TRANSLITERATIONS = { 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ı': 'i' };
+
+// "Michał Żółw-Nowak" -> ['michal', 'zolw', 'nowak']
+function nameTokens(name) {
+    return String(name || '').toLowerCase()
+        .replace(/[łøđßæœı]/g, char => TRANSLITERATIONS[char])
+        .normalize('NFD').replace(/\p{M}/gu, '')
+        .split(/[^\p{L}]+/u).filter(Boolean);
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 'same', 'similar' or null for two token lists of full names
+function compareNames(a, b) {
+    if (a.length < 2 || b.length < 2 || a[a.length - 1] !== b[b.length - 1]) return null;
+    const [firstA, firstB] = [a[0], b[0]];
+    if (firstA === firstB) return 'same';
+    if ((firstA.length === 1 || firstB.length === 1) && firstA[0] === firstB[0]) return 'similar';
+    if (Math.min(firstA.length, firstB.length) >= 4 && levenshtein(firstA, firstB) <= 1) return 'similar';
+    return null;
+}
+
+// Local parts a company would give someone of this name, and the weaker surname-only one
+function localPartVariants(tokens) {
+    const first = tokens[0];
+    const last = tokens.slice(1).join('');
+    const surname = tokens[tokens.length - 1];
+    const full = new Set();
+    ['', '.', '_', '-'].forEach(separator => {
+        [[first, last], [first[0], last], [last, first], [last, first[0]], [first, last[0]]]
+            .forEach(([x, y]) => full.add(`${x}${separator}${y}`));
+    });
+    return { full, surname };
+}
+
+// Local part with "+tag" and trailing digits dropped
+function bareLocalPart(email) {
+    return email.split('@')[0].toLowerCase().split('+')[0].replace(/\d+$/, '');
+}
+
+// Whether a local part could be this person's: it holds a name, spells it out or is the initials
+function localPartFits(local, tokens) {
+    const initials = tokens.map(token => token[0]).join('');
+    return tokens.some(token => token.length >= 3 && local.includes(token))
+        || localPartVariants(tokens).full.has(local)
+        || local === initials || local === initials.split('').reverse().join('');
+}
+
+/**
+ * The full name an email most likely belongs to: its local part spelled out, else one of its names
+ * the local part fits ("Jan Kowalski" rather than "Jan K" for jan.k@)
+ */
+function ownName(record) {
+    const fromLocal = nameTokens(record.localName);
+    if (fromLocal.length >= 2 && fromLocal[fromLocal.length - 1].length > 1) return fromLocal;
+
+    const local = bareLocalPart(record.email);
+    const fromNames = record.names.map(nameTokens)
+        .find(tokens => tokens.length >= 2 && localPartFits(local, tokens));
+    return fromNames || (fromLocal.length >= 2 ? fromLocal : null);
+}
+
+function personProfileUrls(socialMedia) {
+    return Object.values(socialMedia || {}).flat()
+        .filter(profile => profile.type === 'person')
+        .map(profile => profile.url.toLowerCase());
+}
+
+// Candidate links between every pair of records, strongest first
+function findLinks(records) {
+    const links = [];
+    for (let i = 0; i < records.length; i++) {
+        for (let j = i + 1; j < records.length; j++) {
+            const [a, b] = [records[i], records[j]];
+            const reasons = [];
+
+            // A card may list colleagues (and their profiles), so the other local part has to fit the name
+            const fits = (a.own && localPartFits(b.local, a.own)) || (b.own && localPartFits(a.local, b.own));
+            if (fits && a.blocks.some(block => b.blocks.includes(block))) reasons.push('shared_block');
+
+            const names = a.own && b.own ? compareNames(a.own, b.own) : null;
+            if (names === 'same') reasons.push('same_name');
+            if (names === 'similar') reasons.push('similar_name');
+
+            if ((fits || (a.own && b.own)) && a.profiles.some(url => b.profiles.includes(url))) reasons.push('shared_profile');
+
+            if (a.domain && a.domain === b.domain) {
+                [[a, b], [b, a]].forEach(([named, other]) => {
+                    if (!named.own) return;
+                    const variants = localPartVariants(named.own);
+                    if (variants.full.has(other.local)) reasons.push('local_part');
+                    else if (other.local === variants.surname && other.local.length >= 4) reasons.push('surname_local_part');
+                });
+            }
+
+            reasons.forEach(reason => links.push({ a: i, b: j, reason, score: LINK_SCORES[reason] }));
+        }
+    }
+    return links.sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Person records from per-email records:
+ * [{ email, localName, names, jobTitles, companies, socialMedia, pageSocialMedia, blocks }].
+ * Returns [{ id, name, names, emails, jobTitles, companies, socialMedia, mergeConfidence, evidence }]
+ */
+function resolvePeople(emailRecords) {
+    const records = emailRecords.map(record => {
+        const own = ownName(record);
+        return {
+            ...record,
+            own,
+            local: bareLocalPart(record.email),
+            domain: getRegistrableDomain(record.email.split('@')[1]),
+            profiles: personProfileUrls(record.socialMedia)
+        };
+    });
+
+    // Union-find over records; each root keeps its cluster's names so conflicting people stay apart
+    const parent = records.map((record, index) => index);
+    const clusterNames = records.map(record => (record.own ? [record.own] : []));
+    const clusterLinks = records.map(() => []);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    findLinks(records).forEach(link => {
+        const [rootA, rootB] = [find(link.a), find(link.b)];
+        if (rootA === rootB) return;
+
+        const conflict = clusterNames[rootA].some(x => clusterNames[rootB].some(y => !compareNames(x, y)));
+        if (conflict) return;
+
+        parent[rootB] = rootA;
+        clusterNames[rootA] = [...clusterNames[rootA], ...clusterNames[rootB]];
+        clusterLinks[rootA] = [...clusterLinks[rootA], ...clusterLinks[rootB], link];
+    });
+
+    const clusters = new Map();
+    records.forEach((record, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(record);
+    });
+
+    return Array.from(clusters.entries()).map(([root, members], index) => {
+        const links = clusterLinks[root];
+        const ownNames = clusterNames[root];
+        // Names of this person, not of colleagues sharing a card
+        const displayNames = [...new Set(members.flatMap(member => [member.localName, ...member.names]).filter(Boolean))]
+            .filter(candidate => nameTokens(candidate).length >= 2)
+            .filter(candidate => ownNames.some(own => compareNames(nameTokens(candidate), own)));
+        // Prefer a spelled-out first name ("Jan Kowalski" over "J Kowalski"), then the longest spelling
+        const name = displayNames.slice()
+            .sort((x, y) => (nameTokens(y)[0].length > 1) - (nameTokens(x)[0].length > 1) || y.length - x.length)[0] || null;
+
+        // Profiles from the page whose handle spells this person's name
+        const nameKeys = ownNames.map(tokens => [tokens[0] + tokens[tokens.length - 1], tokens[tokens.length - 1] + tokens[0]]).flat();
+        const handleMatches = {};
+        members.forEach(member => Object.entries(member.pageSocialMedia || {}).forEach(([platform, profiles]) => {
+            profiles.filter(profile => profile.type !== 'company'
+                && nameKeys.some(key => key.length > 4 && nameTokens(profile.handle).join('').includes(key)))
+                .forEach(profile => {
+                    handleMatches[platform] = [...(handleMatches[platform] || []), { ...profile, type: 'person' }];
+                });
+        }));
+
+        return {
+            id: `person-${index + 1}`,
+            name,
+            names: displayNames,
+            emails: members.map(member => member.email),
+            jobTitles: [...new Set(members.flatMap(member => member.jobTitles))],
+            companies: mergeCompanies(...members.map(member => member.companies)),
+            socialMedia: mergeSocialMedia(...members.map(member => member.socialMedia), handleMatches),
+            mergeConfidence: links.length > 0 ? Math.min(...links.map(link => link.score)) : null,
+            evidence: links.map(link => ({
+                emails: [records[link.a].email, records[link.b].email],
+                reason: link.reason === 'surname_local_part' ? 'local_part' : link.reason,
+                score: link.score
+            }))
+        };
+    });
+}
+
+module.exports = {
+    resolvePeople
+};
@@ -0,0 +1,107 @@
+/**
+ * Public Suffix List lookups
+ *
+ * Domain parsing driven by the bundled list in src/data/public_suffix_list.dat
+ * (refresh it from https://publicsuffix.org/list/public_suffix_list.dat).
+ * Internationalized domains are handled in their ASCII (punycode) form, so
+ * "müller.de" and "xn--mller-kva.de" are the same domain:
+ *
+ *   getPublicSuffix('dept.university.ac.uk')     -> 'ac.uk'
+ *   getRegistrableDomain('mail.firma.com.pl')    -> 'firma.com.pl'
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII, domainToUnicode } = require('url');
+
+const LIST_PATH = path.join(__dirname, '..', 'data', 'public_suffix_list.dat');
+const LABEL_PATTERN = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+const MAX_DOMAIN_LENGTH = 253;
+
+let rules = null;
+
+// Parsed once on first use: exact rules, wildcard parents ("*.ck" -> "ck"), exceptions and top-level labels
+function getRules() {
+    if (rules) return rules;
+
+    rules = { exact: new Set(), wildcard: new Set(), exception: new Set(), tlds: new Set() };
+    fs.readFileSync(LIST_PATH, 'utf8').split('\n').forEach(line => {
+        const rule = line.trim().split(/\s/)[0];
+        if (!rule || rule.startsWith('//')) return;
+
+        if (rule.startsWith('!')) {
+            rules.exception.add(domainToASCII(rule.slice(1)));
+        } else if (rule.startsWith('*.')) {
+            rules.wildcard.add(domainToASCII(rule.slice(2)));
+        } else {
+            rules.exact.add(domainToASCII(rule));
+        }
+        rules.tlds.add(domainToASCII(rule.split('.').pop()));
+    });
+    return rules;
+}
+
+/**
+ * ASCII (punycode) form of a domain, or null if it is not a valid hostname
+ */
+function toASCIIDomain(domain) {
+    const ascii = domainToASCII(String(domain || '').replace(/\.$/, ''));
+    if (!ascii || ascii.length > MAX_DOMAIN_LENGTH) return null;
+
+    const labels = ascii.split('.');
+    return labels.length >= 2 && labels.every(label => LABEL_PATTERN.test(label)) ? ascii : null;
+}
+
+/**
+ * Display form of a domain, with punycode labels decoded
+ */
+function toUnicodeDomain(domain) {
+    return domainToUnicode(domain) || domain;
+}
+
+/**
+ * Whether a top-level label ("pl", "xn--p1ai", "рф") is in the list
+ */
+function isKnownTld(label) {
+    const ascii = domainToASCII(String(label || ''));
+    return Boolean(ascii) && getRules().tlds.has(ascii);
+}
+
+/**
+ * Public suffix of a domain per the list's rules; an unlisted TLD counts as its own suffix
+ */
+function getPublicSuffix(domain) {
+    const ascii = toASCIIDomain(domain);
+    if (!ascii) return null;
+
+    const { exact, wildcard, exception } = getRules();
+    const labels = ascii.split('.');
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (exception.has(candidate)) return labels.slice(i + 1).join('.');
+        if (exact.has(candidate)) return candidate;
+        if (i > 0 && wildcard.has(candidate)) return labels.slice(i - 1).join('.');
+    }
+    return labels[labels.length - 1];
+}
+
+/**
+ * The domain someone registered: its public suffix plus one label ("mail.firma.com.pl" -> "firma.com.pl").
+ * Null when the domain is itself a public suffix or invalid
+ */
+function getRegistrableDomain(domain) {
+    const suffix = getPublicSuffix(domain);
+    if (!suffix) return null;
+
+    const labels = toASCIIDomain(domain).split('.');
+    const suffixLength = suffix.split('.').length;
+    return labels.length > suffixLength ? labels.slice(-suffixLength - 1).join('.') : null;
+}
+
+module.exports = {
+    toASCIIDomain,
+    toUnicodeDomain,
+    isKnownTld,
+    getPublicSuffix,
+    getRegistrableDomain
+};
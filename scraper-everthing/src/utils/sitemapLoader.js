@@ -0,0 +1,160 @@
+const zlib = require('zlib');
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+/**
+ * Sitemap discovery and parsing
+ *
+ * Looks for sitemaps in robots.txt `Sitemap:` lines and at the conventional
+ * /sitemap.xml and /sitemap_index.xml locations, follows sitemap index files
+ * and transparently gunzips compressed sitemaps.
+ */
+
+const DEFAULT_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml'];
+const MAX_SITEMAP_FILES = 50;
+const MAX_INDEX_DEPTH = 3;
+// The sitemap protocol's own limit, applied to the download and to the gunzipped text
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Extract `Sitemap:` URLs from robots.txt content
+ */
+function parseRobotsSitemaps(robotsTxt) {
+    if (!robotsTxt || typeof robotsTxt !== 'string') return [];
+
+    return robotsTxt
+        .split(/\r?\n/)
+        .map(line => line.match(/^\s*sitemap\s*:\s*(\S+)/i))
+        .filter(Boolean)
+        .map(match => match[1]);
+}
+
+/**
+ * Parse sitemap XML into page URLs and nested sitemap URLs
+ */
+function parseSitemapXml(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const pages = [];
+    const sitemaps = [];
+
+    $('sitemapindex > sitemap > loc').each((i, el) => {
+        const loc = $(el).text().trim();
+        if (loc) sitemaps.push(loc);
+    });
+
+    $('urlset > url > loc').each((i, el) => {
+        const loc = $(el).text().trim();
+        if (loc) pages.push(loc);
+    });
+
+    return { pages, sitemaps };
+}
+
+/**
+ * Decode a sitemap response body, gunzipping it when compressed; throws when it inflates past maxBytes
+ */
+function decodeSitemapBody(buffer, maxBytes = MAX_SITEMAP_BYTES) {
+    const data = Buffer.from(buffer);
+    // Gzip magic bytes - servers often send .xml.gz without a Content-Encoding header
+    if (data.length > 2 && data[0] === 0x1f && data[1] === 0x8b) {
+        try {
+            return zlib.gunzipSync(data, { maxOutputLength: maxBytes }).toString('utf8');
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`Sitemap larger than ${maxBytes} bytes uncompressed`);
+            throw error;
+        }
+    }
+    return data.toString('utf8');
+}
+
+async function fetchSitemap(url, options) {
+    const response = await axios.get(url, {
+        timeout: options.timeout,
+        responseType: 'arraybuffer',
+        headers: { 'User-Agent': options.userAgent },
+        maxContentLength: MAX_SITEMAP_BYTES
+    });
+    return decodeSitemapBody(response.data);
+}
+
+async function fetchRobotsTxt(origin, options) {
+    try {
+        const response = await axios.get(`${origin}/robots.txt`, {
+            timeout: options.timeout,
+            headers: { 'User-Agent': options.userAgent },
+            responseType: 'text'
+        });
+        return typeof response.data === 'string' ? response.data : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Discover and read the sitemaps of the site that hosts startUrl
+ * Returns { pages, sitemaps } with pages in sitemap order, at most `limit` entries
+ * accepted by the optional `filter` callback. Sitemap files themselves, whether listed in
+ * robots.txt or in a sitemap index, are only fetched when the optional async `sitemapFilter` allows them
+ */
+async function loadSitemapUrls(startUrl, options = {}) {
+    const settings = {
+        timeout: options.timeout || 10000,
+        userAgent: options.userAgent,
+        limit: options.limit || 1000,
+        filter: options.filter || (() => true),
+        sitemapFilter: options.sitemapFilter || (async () => true)
+    };
+
+    const origin = new URL(startUrl).origin;
+    const robotsTxt = options.robotsTxt !== undefined ? options.robotsTxt : await fetchRobotsTxt(origin, settings);
+    const robotsSitemaps = parseRobotsSitemaps(robotsTxt);
+
+    // Only fall back to the conventional locations when robots.txt names none
+    const queue = (robotsSitemaps.length > 0 ? robotsSitemaps : DEFAULT_SITEMAP_PATHS.map(path => `${origin}${path}`))
+        .map(url => ({ url, depth: 0 }));
+
+    const visitedSitemaps = new Set();
+    const readSitemaps = [];
+    const pages = new Set();
+
+    while (queue.length > 0 && pages.size < settings.limit && visitedSitemaps.size < MAX_SITEMAP_FILES) {
+        const { url, depth } = queue.shift();
+        if (visitedSitemaps.has(url)) continue;
+        visitedSitemaps.add(url);
+
+        if (!(await settings.sitemapFilter(url))) {
+            console.log(`Skipping sitemap outside the crawl scope or disallowed by robots.txt: ${url}`);
+            continue;
+        }
+        readSitemaps.push(url);
+
+        let parsed;
+        try {
+            parsed = parseSitemapXml(await fetchSitemap(url, settings));
+        } catch (error) {
+            console.log(`Could not read sitemap ${url}: ${error.message}`);
+            continue;
+        }
+
+        if (depth < MAX_INDEX_DEPTH) {
+            parsed.sitemaps.forEach(nested => queue.push({ url: nested, depth: depth + 1 }));
+        }
+
+        for (const page of parsed.pages) {
+            if (pages.size >= settings.limit) break;
+            if (settings.filter(page)) pages.add(page);
+        }
+    }
+
+    return {
+        pages: Array.from(pages),
+        sitemaps: readSitemaps
+    };
+}
+
+module.exports = {
+    loadSitemapUrls,
+    parseRobotsSitemaps,
+    parseSitemapXml,
+    decodeSitemapBody
+};
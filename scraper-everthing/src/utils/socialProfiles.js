@@ -0,0 +1,201 @@
+/**
+ * Social profile registry
+ *
+ * Each platform lists the hosts it answers on, the paths that are profiles
+ * and the paths that only look like one (share buttons, intents, widgets,
+ * embeds). A matched link becomes:
+ *
+ *   { handle, url, type: 'person' | 'company' | 'unknown' }
+ *
+ * where `url` is the canonical profile URL and `type` comes from the URL
+ * when the platform tells them apart (linkedin.com/in vs /company), else
+ * from where the link was found. Extra platforms can be passed next to the
+ * defaults in the same shape.
+ */
+
+// Paths on otherwise profile-shaped hosts that are never profiles
+const COMMON_RESERVED = ['about', 'login', 'signup', 'register', 'settings', 'help', 'privacy', 'terms', 'legal', 'search', 'explore', 'share', 'intent', 'home', 'policies', 'developers', 'download'];
+
+const DEFAULT_SOCIAL_PLATFORMS = [
+    {
+        platform: 'linkedin',
+        hosts: /(?:^|\.)linkedin\.com$/,
+        reject: /^\/(?:shareArticle|sharing|share|cws|embed|feed|posts|pulse)(?:\/|$)/i,
+        profiles: [
+            { path: /^\/in\/([\w%-]{3,100})(?:\/|$)/i, type: 'person', url: handle => `https://www.linkedin.com/in/${handle}` },
+            { path: /^\/(?:company|school|showcase)\/([\w%-]{2,100})(?:\/|$)/i, type: 'company', url: handle => `https://www.linkedin.com/company/${handle}` }
+        ]
+    },
+    {
+        platform: 'twitter',
+        hosts: /^(?:(?:mobile\.)?twitter\.com|x\.com)$/,
+        reject: /^\/(?:intent|share|i|widgets?|hashtag|search|home|compose|messages|notifications)(?:\/|$)/i,
+        profiles: [
+            { path: /^\/(\w{1,15})(?:\/|$)/, url: handle => `https://x.com/${handle}` }
+        ]
+    },
+    {
+        platform: 'facebook',
+        hosts: /^(?:(?:www|m|web|business)\.)?(?:facebook\.com|fb\.com)$/,
+        reject: /^\/(?:sharer|share|dialog|plugins|tr|login|groups|events|watch|photo|story\.php|permalink\.php|hashtag|help|policies|privacy|l\.php|v\d+\.\d+)(?:[/.]|$)/i,
+        profiles: [
+            { path: /^\/profile\.php$/i, handle: (match, url) => url.searchParams.get('id'), caseSensitive: true, url: id => `https://www.facebook.com/profile.php?id=${id}` },
+            { path: /^\/pages\/[^/]+\/(\d+)(?:\/|$)/i, type: 'company', url: id => `https://www.facebook.com/${id}` },
+            { path: /^\/people\/[^/]+\/(\d+)(?:\/|$)/i, type: 'person', url: id => `https://www.facebook.com/${id}` },
+            { path: /^\/([\w.]{5,50})(?:\/|$)/, url: handle => `https://www.facebook.com/${handle}` }
+        ],
+        reserved: ['pages', 'people', 'profile.php', 'marketplace', 'gaming', 'business', 'ads', 'pg']
+    },
+    {
+        platform: 'instagram',
+        hosts: /^(?:www\.)?instagram\.com$/,
+        reject: /^\/(?:p|reel|reels|tv|stories|explore|accounts|direct|embed)(?:\/|$)/i,
+        profiles: [
+            { path: /^\/([\w.]{1,30})\/?$/, url: handle => `https://www.instagram.com/${handle}` }
+        ]
+    },
+    {
+        platform: 'youtube',
+        hosts: /^(?:(?:www|m)\.)?youtube\.com$/,
+        reject: /^\/(?:embed|watch|results|playlist|shorts|feed|redirect|share|live_chat|iframe_api)(?:\/|$)/i,
+        profiles: [
+            { path: /^\/(@[\w.-]{3,30})(?:\/|$)/, url: handle => `https://www.youtube.com/${handle}` },
+            { path: /^\/channel\/(UC[\w-]{22})(?:\/|$)/, caseSensitive: true, url: id => `https://www.youtube.com/channel/${id}` },
+            { path: /^\/(?:c|user)\/([\w.-]{1,100})(?:\/|$)/, caseSensitive: true, url: name => `https://www.youtube.com/c/${name}` }
+        ]
+    },
+    {
+        platform: 'github',
+        hosts: /^(?:www\.)?github\.com$/,
+        reject: /^\/(?:sponsors|login|join|features|pricing|marketplace|topics|collections|trending|enterprise|apps|site|security|customer-stories|readme|notifications|pulls|issues|codespaces)(?:\/|$)/i,
+        profiles: [
+            { path: /^\/orgs\/([a-z\d](?:[a-z\d-]{0,38}))(?:\/|$)/i, type: 'company', url: handle => `https://github.com/${handle}` },
+            { path: /^\/([a-z\d](?:[a-z\d-]{0,38}))(?:\/|$)/i, url: handle => `https://github.com/${handle}` }
+        ],
+        reserved: ['orgs', 'about', 'contact', 'team', 'blog', 'events', 'new', 'organizations']
+    },
+    {
+        platform: 'tiktok',
+        hosts: /^(?:(?:www|m)\.)?tiktok\.com$/,
+        reject: /^\/(?:embed|share|tag|music|discover|t)(?:\/|$)/i,
+        profiles: [
+            { path: /^\/@([\w.]{2,24})(?:\/|$)/, url: handle => `https://www.tiktok.com/@${handle}` }
+        ]
+    },
+    {
+        platform: 'threads',
+        hosts: /^(?:www\.)?threads\.(?:net|com)$/,
+        reject: /^\/(?:intent|share)(?:\/|$)/i,
+        profiles: [
+            { path: /^\/@([\w.]{1,30})(?:\/|$)/, url: handle => `https://www.threads.net/@${handle}` }
+        ]
+    },
+    {
+        platform: 'bluesky',
+        hosts: /^(?:www\.)?bsky\.app$/,
+        reject: /^\/intent(?:\/|$)/i,
+        profiles: [
+            { path: /^\/profile\/((?:[a-z\d-]+\.)+[a-z]{2,}|did:plc:[a-z\d]+)(?:\/|$)/i, url: handle => `https://bsky.app/profile/${handle}` }
+        ]
+    },
+    {
+        platform: 'xing',
+        hosts: /^(?:www\.)?xing\.com$/,
+        reject: /^\/(?:spi|social\/share|social_plugins|app\/user)(?:\/|$)/i,
+        profiles: [
+            { path: /^\/profile\/([\w-]{3,100})(?:\/|$)/, type: 'person', caseSensitive: true, url: handle => `https://www.xing.com/profile/${handle}` },
+            { path: /^\/(?:pages|companies)\/([\w-]{2,100})(?:\/|$)/i, type: 'company', url: handle => `https://www.xing.com/pages/${handle}` }
+        ]
+    },
+    {
+        // Mastodon runs on many servers; these are the large ones plus any host named after it
+        platform: 'mastodon',
+        hosts: /^(?:[\w.-]*(?:mastodon|mstdn)[\w.-]*|fosstodon\.org|hachyderm\.io|infosec\.exchange|mas\.to|chaos\.social|techhub\.social|social\.vivaldi\.net|masto\.ai|toot\.community|troet\.cafe|social\.tchncs\.de)$/,
+        reject: /^\/(?:share|interact|authorize_interaction)(?:\/|$)/i,
+        profiles: [
+            { path: /^\/(?:@|users\/)(\w{1,30})(?:\/|$)/, handle: (match, url) => `${match[1]}@${url.hostname}`, url: handle => `https://${handle.split('@')[1]}/@${handle.split('@')[0]}` }
+        ]
+    }
+];
+
+// Link-shaped text: optional scheme, a host and a path
+const LINK_PATTERN = /(?<![@\w.-])(?:https?:\/\/)?(?:[a-z\d-]+\.)+[a-z]{2,}\/[^\s"'<>()[\]{}|\\^`]*/gi;
+
+/**
+ * Profile a single link points at, or null for share buttons, posts and non-profile pages
+ */
+function matchSocialProfile(link, platforms = DEFAULT_SOCIAL_PLATFORMS) {
+    let url;
+    try {
+        url = new URL(/^https?:\/\//i.test(link) ? link : `https://${link.replace(/^\/\//, '')}`);
+    } catch (error) {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^www\.(?=[^.]+\.[^.]+\.)/, '');
+    const platform = platforms.find(candidate => candidate.hosts.test(host));
+    if (!platform || (platform.reject && platform.reject.test(url.pathname))) return null;
+
+    const reserved = new Set([...COMMON_RESERVED, ...(platform.reserved || [])]);
+    for (const profile of platform.profiles) {
+        const match = url.pathname.match(profile.path);
+        if (!match) continue;
+
+        const handle = profile.handle ? profile.handle(match, url) : match[1];
+        if (!handle) return null;
+        if (!profile.handle && reserved.has(handle.toLowerCase())) return null;
+
+        const canonical = profile.caseSensitive ? handle : handle.toLowerCase();
+        return { platform: platform.platform, handle: canonical, url: profile.url(canonical), type: profile.type || null };
+    }
+    return null;
+}
+
+/**
+ * Profiles linked in a piece of text, grouped by platform: { github: [{ handle, url, type }] }.
+ * defaultType tags profiles whose URL doesn't say whether they are a person's or a company's
+ */
+function extractSocialProfiles(text, platforms = DEFAULT_SOCIAL_PLATFORMS, defaultType = 'unknown') {
+    const found = {};
+    for (const match of String(text || '').matchAll(LINK_PATTERN)) {
+        const profile = matchSocialProfile(match[0].replace(/[.,;:!?]+$/, ''), platforms);
+        if (!profile) continue;
+
+        const { platform, ...details } = profile;
+        found[platform] = mergeProfileLists(found[platform], [{ ...details, type: details.type || defaultType }]);
+    }
+    return found;
+}
+
+// One entry per URL; a known person/company type replaces 'unknown'
+function mergeProfileLists(...lists) {
+    const merged = new Map();
+    lists.forEach(list => (list || []).forEach(profile => {
+        const key = profile.url.toLowerCase();
+        const existing = merged.get(key);
+        if (!existing) {
+            merged.set(key, { ...profile });
+        } else if (existing.type === 'unknown' && profile.type !== 'unknown') {
+            existing.type = profile.type;
+        }
+    }));
+    return Array.from(merged.values());
+}
+
+/**
+ * Merge { platform: [profiles] } maps
+ */
+function mergeSocialMedia(...maps) {
+    const merged = {};
+    maps.forEach(map => Object.keys(map || {}).forEach(platform => {
+        merged[platform] = mergeProfileLists(merged[platform], map[platform]);
+    }));
+    return merged;
+}
+
+module.exports = {
+    DEFAULT_SOCIAL_PLATFORMS,
+    matchSocialProfile,
+    extractSocialProfiles,
+    mergeSocialMedia
+};
@@ -0,0 +1,302 @@
+/**
+ * schema.org structured data extractor
+ *
+ * Reads JSON-LD blocks, microdata (itemscope/itemprop) and RDFa
+ * (typeof/property) into plain JSON-LD-shaped objects, then flattens the
+ * Person, Organization/LocalBusiness and ContactPoint nodes into entities.
+ * hCard microformats (h-card and classic vcard classes) map to the same shape:
+ *
+ *   { type, types, source, name, emails, telephones, jobTitles, organization,
+ *     addresses, sameAs, contactTypes }
+ *
+ * People listed under an organization (employee, member, founder) and
+ * contact points carry the organization's name.
+ */
+
+const PERSON_TYPES = new Set(['Person']);
+const CONTACT_POINT_TYPES = new Set(['ContactPoint', 'PostalAddress']);
+const ORGANIZATION_TYPE = /Organization|Organisation|LocalBusiness|Corporation|Store|Office|Agency|Company|Restaurant|Hotel|Clinic|Dentist|Physician|Attorney|LegalService|School|College|University|NGO/;
+const PEOPLE_PROPERTIES = ['employee', 'employees', 'member', 'members', 'founder', 'founders', 'contactPerson'];
+const MAX_DEPTH = 8;
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// "http://schema.org/Person" and "schema:Person" -> "Person"
+function stripVocabulary(name) {
+    return String(name).replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '');
+}
+
+function getTypes(node) {
+    return asArray(node['@type']).map(stripVocabulary);
+}
+
+// Plain text of a property value: strings, JSON-LD value objects or named things
+function textValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'string' || typeof value === 'number') return String(value).trim() || null;
+    if (typeof value === 'object') return textValue(value['@value'] || value.name);
+    return null;
+}
+
+function textValues(value) {
+    return asArray(value).map(textValue).filter(Boolean);
+}
+
+/**
+ * PostalAddress object or string -> { raw, country, components }
+ */
+function normalizeAddress(value) {
+    if (typeof value === 'string') {
+        const raw = value.trim().replace(/\s+/g, ' ');
+        return raw ? { raw, country: null, components: {} } : null;
+    }
+    if (!value || typeof value !== 'object') return null;
+
+    const components = {};
+    const street = textValue(value.streetAddress);
+    const postalCode = textValue(value.postalCode);
+    const city = textValue(value.addressLocality);
+    const region = textValue(value.addressRegion);
+    const poBox = textValue(value.postOfficeBoxNumber);
+    if (street) components.street = street;
+    if (postalCode) components.postalCode = postalCode;
+    if (city) components.city = city;
+    if (region) components.region = region;
+    if (poBox) components.poBox = poBox;
+
+    const countryText = textValue(value.addressCountry);
+    const country = countryText && /^[A-Za-z]{2}$/.test(countryText) ? countryText.toUpperCase() : null;
+    const raw = [street, [postalCode, city].filter(Boolean).join(' '), region, countryText]
+        .filter(Boolean).join(', ').replace(/\s+/g, ' ');
+
+    return raw ? { raw, country, components } : null;
+}
+
+function normalizeEmails(value) {
+    return textValues(value).map(email => email.replace(/^mailto:/i, '').split('?')[0].trim()).filter(Boolean);
+}
+
+/**
+ * Walk a JSON-LD-shaped node, collecting Person, Organization and ContactPoint entities
+ */
+function collectEntities(node, source, context, entities, depth = 0) {
+    if (!node || typeof node !== 'object' || depth > MAX_DEPTH) return;
+    if (Array.isArray(node)) {
+        node.forEach(child => collectEntities(child, source, context, entities, depth + 1));
+        return;
+    }
+
+    asArray(node['@graph']).forEach(child => collectEntities(child, source, context, entities, depth + 1));
+
+    const types = getTypes(node);
+    const isPerson = types.some(type => PERSON_TYPES.has(type));
+    const isContactPoint = types.includes('ContactPoint');
+    const isOrganization = !isPerson && !types.some(type => CONTACT_POINT_TYPES.has(type))
+        && (types.some(type => ORGANIZATION_TYPE.test(type)) || node.contactPoint !== undefined);
+
+    const name = textValue(node.name) || textValue(node.legalName);
+    if (isPerson || isOrganization || isContactPoint) {
+        const worksFor = asArray(node.worksFor).map(textValue).find(Boolean);
+        entities.push({
+            type: isPerson ? 'Person' : (isContactPoint ? 'ContactPoint' : 'Organization'),
+            types,
+            source,
+            name: isContactPoint ? context.organization : name,
+            emails: normalizeEmails(node.email),
+            telephones: textValues(node.telephone),
+            jobTitles: textValues(node.jobTitle),
+            organization: isOrganization ? name : (worksFor || context.organization || null),
+            addresses: asArray(node.address).map(normalizeAddress).filter(Boolean)
+                .concat(isContactPoint ? context.addresses : []),
+            sameAs: textValues(node.sameAs).concat(isContactPoint ? context.sameAs : []),
+            contactTypes: textValues(node.contactType)
+        });
+    }
+
+    // Nested people and contact points belong to this organization
+    const childContext = isOrganization
+        ? {
+            organization: name,
+            addresses: asArray(node.address).map(normalizeAddress).filter(Boolean),
+            sameAs: textValues(node.sameAs)
+        }
+        : context;
+
+    Object.keys(node).forEach(key => {
+        if (key.startsWith('@') || key === 'address') return;
+        const value = node[key];
+        if (!value || typeof value !== 'object') return;
+
+        const nestedContext = key === 'contactPoint' || PEOPLE_PROPERTIES.includes(key) ? childContext : { organization: null, addresses: [], sameAs: [] };
+        asArray(value).forEach(child => collectEntities(child, source, nestedContext, entities, depth + 1));
+    });
+}
+
+/**
+ * JSON-LD nodes from <script type="application/ld+json">; malformed blocks are skipped
+ */
+function readJsonLd($) {
+    const nodes = [];
+    $('script[type="application/ld+json"]').each((i, el) => {
+        const json = $(el).contents().text().trim();
+        if (!json) return;
+        try {
+            nodes.push(JSON.parse(json));
+        } catch (error) {
+            // Skip malformed JSON-LD
+        }
+    });
+    return nodes;
+}
+
+function addProperty(item, name, value) {
+    if (item[name] === undefined) {
+        item[name] = value;
+    } else {
+        item[name] = [...asArray(item[name]), value];
+    }
+}
+
+// Microdata property value per the HTML spec's element rules
+function microdataValue($, el) {
+    const node = $(el);
+    const tag = el.name;
+    if (tag === 'meta') return node.attr('content');
+    if (['a', 'area', 'link'].includes(tag)) return node.attr('href');
+    if (['img', 'audio', 'embed', 'iframe', 'source', 'track', 'video'].includes(tag)) return node.attr('src');
+    if (tag === 'object') return node.attr('data');
+    if (tag === 'time') return node.attr('datetime') || node.text().trim();
+    if (['data', 'meter'].includes(tag)) return node.attr('value');
+    return node.attr('content') || node.text().replace(/\s+/g, ' ').trim();
+}
+
+function readMicrodataItem($, el, depth = 0) {
+    const item = { '@type': ($(el).attr('itemtype') || '').split(/\s+/).filter(Boolean) };
+    if (depth > MAX_DEPTH) return item;
+
+    $(el).find('[itemprop]').each((i, propEl) => {
+        // Only properties whose nearest item is this one
+        if ($(propEl).parent().closest('[itemscope]')[0] !== el) return;
+
+        const value = $(propEl).is('[itemscope]') ? readMicrodataItem($, propEl, depth + 1) : microdataValue($, propEl);
+        if (value === undefined || value === '') return;
+        $(propEl).attr('itemprop').split(/\s+/).filter(Boolean)
+            .forEach(name => addProperty(item, stripVocabulary(name), value));
+    });
+    return item;
+}
+
+function readMicrodata($) {
+    return $('[itemscope]').filter((i, el) => $(el).attr('itemprop') === undefined)
+        .map((i, el) => readMicrodataItem($, el)).get();
+}
+
+function readRdfaItem($, el, depth = 0) {
+    const item = { '@type': ($(el).attr('typeof') || '').split(/\s+/).filter(Boolean) };
+    if (depth > MAX_DEPTH) return item;
+
+    $(el).find('[property]').each((i, propEl) => {
+        if ($(propEl).parent().closest('[typeof]')[0] !== el) return;
+
+        const node = $(propEl);
+        const value = node.is('[typeof]')
+            ? readRdfaItem($, propEl, depth + 1)
+            : (node.attr('content') || node.attr('href') || node.attr('src') || node.text().replace(/\s+/g, ' ').trim());
+        if (value === undefined || value === '') return;
+        node.attr('property').split(/\s+/).filter(Boolean)
+            .forEach(name => addProperty(item, stripVocabulary(name), value));
+    });
+    return item;
+}
+
+function readRdfa($) {
+    return $('[typeof]').filter((i, el) => $(el).attr('property') === undefined)
+        .map((i, el) => readRdfaItem($, el)).get();
+}
+
+const HCARD_SELECTOR = '.h-card, .vcard';
+
+// Elements matching selector that belong to this card rather than a card nested inside it
+function hCardProperties($, card, selector) {
+    return $(card).find(selector).addBack(selector)
+        .filter((i, el) => $(el).closest(HCARD_SELECTOR)[0] === card || (el !== card && $(el).is(HCARD_SELECTOR) && $(el).parent().closest(HCARD_SELECTOR)[0] === card));
+}
+
+function hCardText($, el) {
+    const node = $(el);
+    const valueEl = node.find('.value').first();
+    return (node.attr('title') && node.is('abbr') ? node.attr('title') : (valueEl.length ? valueEl : node).text())
+        .replace(/\s+/g, ' ').trim();
+}
+
+function hCardUrl($, el) {
+    return $(el).attr('href') || $(el).attr('src') || hCardText($, el);
+}
+
+function readHCardAddress($, el) {
+    const part = (selector) => {
+        const found = $(el).find(selector).first();
+        return found.length ? hCardText($, found) : null;
+    };
+    const address = {
+        streetAddress: part('.p-street-address, .street-address'),
+        addressLocality: part('.p-locality, .locality'),
+        addressRegion: part('.p-region, .region'),
+        postalCode: part('.p-postal-code, .postal-code'),
+        addressCountry: part('.p-country-name, .country-name'),
+        postOfficeBoxNumber: part('.p-post-office-box, .post-office-box')
+    };
+    return Object.values(address).some(Boolean) ? normalizeAddress(address) : normalizeAddress(hCardText($, el));
+}
+
+function readHCards($) {
+    const entities = [];
+    $(HCARD_SELECTOR).each((i, card) => {
+        const texts = (selector) => hCardProperties($, card, selector).map((j, el) => hCardText($, el)).get().filter(Boolean);
+        const urls = (selector) => hCardProperties($, card, selector).map((j, el) => hCardUrl($, el)).get().filter(Boolean);
+
+        const name = texts('.p-name, .fn')[0] || null;
+        const organization = texts('.p-org, .org')[0] || null;
+        // Classic "fn org" on one element, or an mf2 card whose name is its organization
+        const isOrganization = hCardProperties($, card, '.fn.org').length > 0 || (name !== null && name === organization);
+
+        const entity = {
+            type: isOrganization ? 'Organization' : 'Person',
+            types: ['hCard'],
+            source: 'hcard',
+            name,
+            emails: urls('.u-email, .email').map(email => email.replace(/^mailto:/i, '').split('?')[0].trim()).filter(Boolean),
+            telephones: urls('.p-tel, .tel').map(tel => tel.replace(/^tel:/i, '').trim()),
+            jobTitles: texts('.p-job-title, .title, .p-role, .role'),
+            organization: organization || (isOrganization ? name : null),
+            addresses: hCardProperties($, card, '.p-adr, .adr, .h-adr').map((j, el) => readHCardAddress($, el)).get().filter(Boolean),
+            sameAs: urls('.u-url, .url'),
+            contactTypes: []
+        };
+        if (entity.name || entity.emails.length > 0) entities.push(entity);
+    });
+    return entities;
+}
+
+/**
+ * All Person, Organization and ContactPoint entities on a page
+ */
+function extractStructuredData($) {
+    const entities = [];
+    const emptyContext = { organization: null, addresses: [], sameAs: [] };
+
+    readJsonLd($).forEach(node => collectEntities(node, 'json-ld', emptyContext, entities));
+    readMicrodata($).forEach(node => collectEntities(node, 'microdata', emptyContext, entities));
+    readRdfa($).forEach(node => collectEntities(node, 'rdfa', emptyContext, entities));
+    entities.push(...readHCards($));
+
+    return entities;
+}
+
+module.exports = {
+    extractStructuredData,
+    normalizeAddress
+};
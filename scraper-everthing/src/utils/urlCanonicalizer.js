@@ -0,0 +1,51 @@
+/**
+ * URL canonicalization utility
+ *
+ * Produces one key per logical page so `/team`, `/team/`, `/team?utm_source=x`
+ * and `/team#top` are only crawled once: lowercases scheme and host, drops the
+ * fragment, default port and known tracking parameters, sorts the remaining
+ * query parameters and removes trailing slashes from non-root paths.
+ */
+
+const TRACKING_PARAMS = new Set([
+    'gclid', 'gclsrc', 'dclid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'li_fat_id',
+    'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'hsctatracking', 'mkt_tok',
+    'ref_src', 'spm', 'vero_id', 'oly_anon_id', 'oly_enc_id', 'wickedid', 's_kwcid', 'zanpid'
+]);
+
+function isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return lower.startsWith('utm_') || TRACKING_PARAMS.has(lower);
+}
+
+/**
+ * Canonicalize an absolute URL; returns the input unchanged if it cannot be parsed
+ */
+function canonicalizeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+
+    // WHATWG URL already lowercases scheme and host and drops default ports
+    parsed.hash = '';
+
+    const params = [...parsed.searchParams.entries()]
+        .filter(([name]) => !isTrackingParam(name))
+        .sort(([a, aValue], [b, bValue]) => (a === b ? aValue.localeCompare(bValue) : a.localeCompare(b)));
+    parsed.search = '';
+    params.forEach(([name, value]) => parsed.searchParams.append(name, value));
+
+    if (parsed.pathname.length > 1) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    }
+
+    return parsed.href;
+}
+
+module.exports = {
+    canonicalizeUrl,
+    isTrackingParam
+};
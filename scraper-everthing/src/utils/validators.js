@@ -1,3 +1,8 @@
+const { validatePatterns, validateQueryRules } = require('./crawlScope');
+const { validateAddressCountries } = require('./addressRecognizers');
+const { validateEmailFilters } = require('./emailClassifier');
+const { validateAIOptions } = require('./llmProviders');
+
 /**
  * URL validation utility
  */
@@ -63,8 +68,118 @@ function validateScrapingOptions(options) {
         }
     }
 
+    // Validate retry policy
+    if (options.maxRetries !== undefined) {
+        if (!Number.isInteger(options.maxRetries) || options.maxRetries < 0 || options.maxRetries > 5) {
+            errors.push('maxRetries must be an integer between 0 and 5');
+        }
+    }
+
+    if (options.retryBaseDelay !== undefined) {
+        if (!Number.isInteger(options.retryBaseDelay) || options.retryBaseDelay < 100 || options.retryBaseDelay > 30000) {
+            errors.push('retryBaseDelay must be an integer between 100 and 30000 milliseconds');
+        }
+    }
+
+    // Validate concurrentPages
+    if (options.concurrentPages !== undefined) {
+        if (!Number.isInteger(options.concurrentPages) || options.concurrentPages < 1 || options.concurrentPages > 10) {
+            errors.push('concurrentPages must be an integer between 1 and 10');
+        }
+    }
+
+    // Validate PDF limits
+    if (options.maxPdfBytes !== undefined) {
+        if (!Number.isInteger(options.maxPdfBytes) || options.maxPdfBytes < 1024 || options.maxPdfBytes > 50 * 1024 * 1024) {
+            errors.push('maxPdfBytes must be an integer between 1024 and 52428800 bytes');
+        }
+    }
+
+    if (options.maxPdfPages !== undefined) {
+        if (!Number.isInteger(options.maxPdfPages) || options.maxPdfPages < 1 || options.maxPdfPages > 500) {
+            errors.push('maxPdfPages must be an integer between 1 and 500');
+        }
+    }
+
+    // Validate email verification settings
+    if (options.dnsTimeout !== undefined) {
+        if (!Number.isInteger(options.dnsTimeout) || options.dnsTimeout < 100 || options.dnsTimeout > 30000) {
+            errors.push('dnsTimeout must be an integer between 100 and 30000 milliseconds');
+        }
+    }
+
+    if (options.disposableDomains !== undefined) {
+        if (!Array.isArray(options.disposableDomains) || !options.disposableDomains.every(domain => typeof domain === 'string')) {
+            errors.push('disposableDomains must be an array of domain names');
+        }
+    }
+
+    // DNS servers are a server setting (DNS_SERVERS) and the resolver object can only be passed in code
+    ['dnsServers', 'dnsResolver'].forEach(option => {
+        if (options[option] !== undefined) {
+            errors.push(`${option} cannot be set per request`);
+        }
+    });
+
+    // Validate email class and score filters
+    const emailFiltersError = validateEmailFilters(options);
+    if (emailFiltersError) errors.push(emailFiltersError);
+
+    // Validate AI categorization settings
+    const aiOptionsError = validateAIOptions(options);
+    if (aiOptionsError) errors.push(aiOptionsError);
+
+    // Validate scoringRules
+    if (options.scoringRules !== undefined) {
+        if (!Array.isArray(options.scoringRules)) {
+            errors.push('scoringRules must be an array of { pattern, score } objects');
+        } else {
+            options.scoringRules.forEach((rule, index) => {
+                if (!rule || typeof rule.pattern !== 'string' || typeof rule.score !== 'number' || !Number.isFinite(rule.score)) {
+                    errors.push(`scoringRules[${index}] must have a string pattern and a numeric score`);
+                    return;
+                }
+                try {
+                    new RegExp(rule.pattern, 'i');
+                } catch (error) {
+                    errors.push(`scoringRules[${index}] pattern is not a valid regular expression`);
+                }
+            });
+        }
+    }
+
+    // Validate crawl scope patterns - malformed regexes are rejected up front
+    ['includePatterns', 'excludePatterns'].forEach(option => {
+        if (options[option] !== undefined) {
+            const patternError = validatePatterns(option, options[option]);
+            if (patternError) errors.push(patternError);
+        }
+    });
+
+    if (options.queryRules !== undefined) {
+        const queryRulesError = validateQueryRules(options.queryRules);
+        if (queryRulesError) errors.push(queryRulesError);
+    }
+
+    if (options.addressCountries !== undefined) {
+        const addressCountriesError = validateAddressCountries(options.addressCountries);
+        if (addressCountriesError) errors.push(addressCountriesError);
+    }
+
+    // Validate fetchMode
+    if (options.fetchMode !== undefined && !['http', 'browser', 'auto'].includes(options.fetchMode)) {
+        errors.push("fetchMode must be one of 'http', 'browser' or 'auto'");
+    }
+
+    // The crawler identity is configured server-wide
+    ['userAgent', 'robotsProductToken', 'contactEmail'].forEach(option => {
+        if (options[option] !== undefined) {
+            errors.push(`${option} cannot be set per request`);
+        }
+    });
+
     // Validate boolean options
-    const booleanOptions = ['headless', 'respectRobots', 'skipImages', 'skipCSS', 'skipFonts', 'skipMedia'];
+    const booleanOptions = ['headless', 'respectRobots', 'skipImages', 'skipCSS', 'skipFonts', 'skipMedia', 'useDefaultScoring', 'useSitemaps', 'followSubdomains', 'dedupePages', 'fetchVCards', 'scanPdfs', 'verifyEmails'];
     booleanOptions.forEach(option => {
         if (options[option] !== undefined && typeof options[option] !== 'boolean') {
             errors.push(`${option} must be a boolean value`);
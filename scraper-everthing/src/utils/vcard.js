@@ -0,0 +1,137 @@
+/**
+ * vCard parser (versions 2.1, 3.0 and 4.0)
+ *
+ * Turns a .vcf file into the entity shape used for structured data, so
+ * FN, TITLE, ORG, ADR, URL, EMAIL and TEL merge into personal data the same
+ * way as schema.org markup:
+ *
+ *   { type, types: ['vCard'], source: 'vcard', name, emails, telephones,
+ *     jobTitles, organization, addresses, sameAs, contactTypes }
+ */
+
+const { normalizeAddress } = require('./structuredData');
+
+// Lines starting with a space or tab continue the previous line
+function unfoldLines(text) {
+    return text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function unescapeValue(value) {
+    return value.replace(/\\([\\,;nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Split a structured value (N, ADR, ORG) on unescaped semicolons
+function splitComponents(value) {
+    return value.split(/(?<!\\);/).map(part => unescapeValue(part).trim());
+}
+
+function decodeQuotedPrintable(value, charset) {
+    const bytes = [];
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.slice(i + 1, i + 3))) {
+            bytes.push(parseInt(value.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(value.charCodeAt(i));
+        }
+    }
+    const encoding = /^utf-?8$/i.test(charset || 'utf-8') ? 'utf8' : 'latin1';
+    return Buffer.from(bytes).toString(encoding);
+}
+
+// "EMAIL;TYPE=work:jan@x.pl" or "item1.EMAIL:jan@x.pl" -> { name, params, value }
+function parseLine(line) {
+    const match = line.match(/^(?:[A-Za-z0-9-]+\.)?([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/);
+    if (!match) return null;
+
+    const params = {};
+    match[2].split(';').filter(Boolean).forEach(param => {
+        const [key, paramValue] = param.split('=');
+        // vCard 2.1 allows bare types such as ";WORK;PREF"
+        params[paramValue === undefined ? 'TYPE' : key.toUpperCase()] = paramValue === undefined ? key : paramValue;
+    });
+
+    let value = match[3];
+    if ((params.ENCODING || '').toUpperCase() === 'QUOTED-PRINTABLE') {
+        value = decodeQuotedPrintable(value, params.CHARSET);
+    }
+    return { name: match[1].toUpperCase(), params, value };
+}
+
+function cardToEntity(properties) {
+    const values = (name) => properties.filter(property => property.name === name).map(property => property.value);
+
+    const fn = values('FN').map(unescapeValue).find(Boolean);
+    const n = values('N').map(splitComponents)[0];
+    const nameFromN = n ? [n[3], n[1], n[2], n[0], n[4]].filter(Boolean).join(' ') : '';
+    const organization = values('ORG').map(value => splitComponents(value)[0]).find(Boolean) || null;
+    const kind = (values('KIND')[0] || values('X-ABSHOWAS')[0] || '').toLowerCase();
+    const name = fn || nameFromN || null;
+    const isOrganization = kind === 'org' || kind === 'organization' || kind === 'company' || (!nameFromN && name !== null && name === organization);
+
+    const addresses = values('ADR').map(value => {
+        const [poBox, , street, city, region, postalCode, country] = splitComponents(value);
+        return normalizeAddress({
+            postOfficeBoxNumber: poBox,
+            streetAddress: street,
+            addressLocality: city,
+            addressRegion: region,
+            postalCode,
+            addressCountry: country
+        });
+    }).filter(Boolean);
+
+    return {
+        type: isOrganization ? 'Organization' : 'Person',
+        types: ['vCard'],
+        source: 'vcard',
+        name: isOrganization ? (organization || name) : name,
+        emails: values('EMAIL').map(value => unescapeValue(value).replace(/^mailto:/i, '').trim()).filter(Boolean),
+        telephones: values('TEL').map(value => unescapeValue(value).replace(/^tel:/i, '').trim()).filter(Boolean),
+        jobTitles: values('TITLE').map(unescapeValue).filter(Boolean),
+        organization: organization || (isOrganization ? name : null),
+        addresses,
+        sameAs: values('URL').map(unescapeValue).filter(Boolean),
+        contactTypes: []
+    };
+}
+
+/**
+ * Parse every card in a .vcf file
+ */
+function parseVCard(text) {
+    const entities = [];
+    let properties = null;
+
+    unfoldLines(text).forEach(line => {
+        const trimmed = line.trim();
+        if (/^BEGIN:VCARD$/i.test(trimmed)) {
+            properties = [];
+        } else if (/^END:VCARD$/i.test(trimmed)) {
+            if (properties) entities.push(cardToEntity(properties));
+            properties = null;
+        } else if (properties && trimmed) {
+            const property = parseLine(trimmed);
+            if (property) properties.push(property);
+        }
+    });
+
+    return entities;
+}
+
+/**
+ * Whether a link points at a vCard download
+ */
+function isVCardLink(href, type) {
+    if (type && /text\/(x-)?vcard/i.test(type)) return true;
+    try {
+        return /\.vcf$/i.test(new URL(href, 'http://localhost').pathname);
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    parseVCard,
+    isVCardLink
+};
@@ -0,0 +1,86 @@
+const { recognizeAddresses, getAddressRecognizers } = require('./src/utils/addressRecognizers');
+
+/**
+ * First address found in text, as "COUNTRY | key=value; ..." so country and components are checked together
+ */
+function describeAddress(text, recognizers) {
+    const [address] = recognizeAddresses(text, recognizers);
+    if (!address) return null;
+    const components = Object.entries(address.components).map(([key, value]) => `${key}=${value}`).join('; ');
+    return `${address.country} | ${components}`;
+}
+
+/**
+ * Test the address recognizer of each supported country
+ */
+function testAddressRecognizers() {
+    console.log('🏠 Testing Address Recognizers\n');
+
+    const testCases = [
+        {
+            text: 'Visit us at 1600 Pennsylvania Avenue, Washington, DC 20500 today.',
+            expected: 'US | houseNumber=1600; street=Pennsylvania Avenue; city=Washington; region=DC; postalCode=20500',
+            description: 'US street address with state and ZIP code'
+        },
+        {
+            text: 'Mail: P.O. Box 742, Springfield, IL 62701',
+            expected: 'US | poBox=742; city=Springfield; region=IL; postalCode=62701',
+            description: 'US P.O. Box'
+        },
+        {
+            text: 'Office: 123 Queen Street West, Toronto, ON M5H 2M9',
+            expected: 'CA | houseNumber=123; street=Queen Street West; city=Toronto; region=ON; postalCode=M5H 2M9',
+            description: 'Canadian address with province and postal code'
+        },
+        {
+            text: 'Write to 10 Downing Street, London SW1A 2AA.',
+            expected: 'GB | houseNumber=10; street=Downing Street; city=London; postalCode=SW1A 2AA',
+            description: 'UK address with postcode'
+        },
+        {
+            text: 'Biuro: ul. Marszałkowska 10/12, 00-001 Warszawa',
+            expected: 'PL | street=ul. Marszałkowska; houseNumber=10/12; postalCode=00-001; city=Warszawa',
+            description: 'Polish address with flat number'
+        },
+        {
+            text: 'Anschrift: Kaiserstr. 5, 60311 Frankfurt am Main',
+            expected: 'DE | street=Kaiserstr.; houseNumber=5; postalCode=60311; city=Frankfurt am Main',
+            description: 'German address with a multi-word city'
+        },
+        {
+            text: 'Siège : 12 rue de la Paix, 75002 Paris CEDEX 02',
+            expected: 'FR | houseNumber=12; street=rue de la Paix; postalCode=75002; city=Paris; cedex=CEDEX 02',
+            description: 'French address with CEDEX'
+        },
+        {
+            text: 'Bezoekadres: Damrak 1, 1012 LG Amsterdam',
+            expected: 'NL | street=Damrak; houseNumber=1; postalCode=1012 LG; city=Amsterdam',
+            description: 'Dutch address with letter postcode'
+        },
+        {
+            text: 'Oficina: Calle Mayor 5, 28013 Madrid',
+            expected: 'ES | street=Calle Mayor; houseNumber=5; postalCode=28013; city=Madrid',
+            description: 'Spanish address'
+        },
+        {
+            text: 'Biuro: ul. Marszałkowska 10/12, 00-001 Warszawa',
+            recognizers: getAddressRecognizers(['de']),
+            expected: null,
+            description: 'Limiting the countries skips the other recognizers'
+        }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const actual = describeAddress(testCase.text, testCase.recognizers);
+        const ok = actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} address checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testAddressRecognizers();
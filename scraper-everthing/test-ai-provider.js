@@ -0,0 +1,69 @@
+const http = require('http');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+const { MockProvider } = require('./src/utils/llmProviders');
+
+/**
+ * Local OpenAI-compatible server recording each request and answering with a fenced JSON reply
+ */
+function startStubServer(requests) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ message: { content: '```json\n{"industries":["software"],"confidence":0.9}\n```' } }] }));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Test AI categorization against a local OpenAI-compatible server and the mock provider, without network access
+ */
+async function testAIProvider() {
+    console.log('🧠 Testing AI Providers\n');
+
+    const requests = [];
+    const server = await startStubServer(requests);
+    const data = { names: ['Jan Kowalski'], keywords: ['crm'], jobTitles: ['Senior Sales Director'] };
+
+    const local = new EmailScraper({
+        aiProvider: 'ollama',
+        aiBaseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        aiModel: 'qwen2.5',
+        aiTemperature: 0,
+        aiPromptTemplate: 'Contact: {{data}}'
+    });
+    const fromServer = await local.categorizeDataWithAI(data);
+    server.close();
+    const request = requests[0] || { body: { messages: [{}, {}] } };
+
+    const mock = new EmailScraper({ aiProvider: 'mock' });
+    const fromMock = await mock.categorizeDataWithAI(data);
+    const custom = new EmailScraper({ aiProvider: new MockProvider({ response: '{"departments":["legal"]}' }) });
+    const fromCustom = await custom.categorizeDataWithAI(data);
+
+    const testCases = [
+        { actual: request.url, expected: '/v1/chat/completions', description: 'Posts to the configured base URL' },
+        { actual: request.authorization, expected: undefined, description: 'Sends no key to a local server' },
+        { actual: `${request.body.model} @ ${request.body.temperature}`, expected: 'qwen2.5 @ 0', description: 'Sends the configured model and temperature' },
+        { actual: request.body.messages[1].content, expected: `Contact: ${JSON.stringify(data)}`, description: 'Fills the prompt template with the data' },
+        { actual: fromServer.industries.join(', '), expected: 'software', description: 'Merges a fenced JSON reply' },
+        { actual: `${fromMock.seniority} / ${fromMock.departments}`, expected: 'executive / sales', description: 'Mock provider reads seniority and departments off job titles' },
+        { actual: fromCustom.departments.join(', '), expected: 'legal', description: 'Accepts a provider object' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} AI provider checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testAIProvider();
@@ -0,0 +1,59 @@
+const cheerio = require('cheerio');
+const { normalizeCompanyName, extractCompanyNames, companiesForEmail } = require('./src/utils/companyNames');
+
+/**
+ * Test company name normalization, page detection and per-email companies
+ */
+function testCompanyDetection() {
+    console.log('🏢 Testing Company Detection\n');
+
+    const $ = cheerio.load(`
+        <html>
+        <head>
+            <title>Kontakt | Firma Sp. z o.o.</title>
+            <meta property="og:site_name" content="Firma">
+        </head>
+        <body>
+            <footer>© 2010–2024 Firma Sp. z o.o. Wszelkie prawa zastrzeżone.</footer>
+        </body>
+        </html>
+    `);
+    const pageCompanies = extractCompanyNames($);
+    const footerCompanies = footer => extractCompanyNames(cheerio.load(`<html><body><footer>${footer}</footer></body></html>`)).join('; ');
+
+    // Long unbroken runs after a copyright sign used to make the pattern backtrack for seconds per page
+    const started = Date.now();
+    ['a'.repeat(50), 'a'.repeat(100), 'a'.repeat(2000), Array.from({ length: 20 }, () => 'ab').join('-')]
+        .forEach(run => footerCompanies(`© 2024 ${run}!`));
+    const slowFooterMs = Date.now() - started;
+
+    const testCases = [
+        { actual: normalizeCompanyName('Acme, Inc.'), expected: 'Acme', description: 'Strips "Inc."' },
+        { actual: normalizeCompanyName('Müller GmbH & Co. KG'), expected: 'Müller', description: 'Strips "GmbH & Co. KG"' },
+        { actual: pageCompanies.join('; '), expected: 'Firma', description: 'og:site_name, copyright and title agree' },
+        { actual: footerCompanies('© Copyright 2024 Acme Inc. All rights reserved.'), expected: 'Acme', description: '"© Copyright" is not part of the name' },
+        { actual: footerCompanies('© 2024 All rights reserved.'), expected: '', description: 'A rights notice is no company' },
+        { actual: footerCompanies('© 2024 | Privacy | Terms'), expected: '', description: 'A bare year is no company' },
+        { actual: footerCompanies('© Copyright 2024. All rights reserved.'), expected: '', description: 'A year after "© Copyright" is no company' },
+        { actual: footerCompanies('<p>© 2023 Privacy Policy Terms</p>'), expected: '', description: 'Footer links are no company' },
+        { actual: footerCompanies('© 2024 Acme Widgets — Made with love'), expected: 'Acme Widgets', description: 'An em dash ends the name' },
+        { actual: footerCompanies('Copyright © 2023 Müller Immobilien GmbH – Impressum'), expected: 'Müller Immobilien', description: 'An en dash ends the name' },
+        { actual: slowFooterMs < 500, expected: true, description: `Long letter runs after © are matched quickly (${slowFooterMs}ms)` },
+        { actual: companiesForEmail('jan@firma.pl', pageCompanies, 'https://www.firma.pl/kontakt').join('; '), expected: 'Firma', description: 'Site email gets the page company' },
+        { actual: companiesForEmail('bob@partner-consulting.de', pageCompanies, 'https://www.firma.pl/kontakt').join('; '), expected: 'Partner Consulting', description: 'Other domains get their own company' },
+        { actual: companiesForEmail('ola@gmail.com', pageCompanies, 'https://www.firma.pl/kontakt').join('; '), expected: 'Firma', description: 'Webmail falls back to the page company' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} company checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testCompanyDetection();
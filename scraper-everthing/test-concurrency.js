@@ -0,0 +1,58 @@
+const http = require('http');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+
+/**
+ * Crawl a local site whose pages answer slowly, tracking how many requests are in flight at once
+ */
+async function crawlSlowSite(concurrentPages) {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const server = http.createServer((req, res) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(() => {
+            inFlight--;
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            const links = Array.from({ length: 8 }, (value, index) => `<a href="/page-${index}">Page ${index}</a>`).join(' ');
+            res.end(`<html><body><h1>${req.url}</h1><p>staff-${req.url.replace(/\W/g, '') || 'home'}@firma.pl</p>${links}</body></html>`);
+        }, 150);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const scraper = new EmailScraper({ fetchMode: 'http', respectRobots: false, delay: 0, maxPages: 6, concurrentPages, useAICategorization: false, collectPersonalData: false });
+    const started = Date.now();
+    const result = await scraper.scrape(`http://127.0.0.1:${server.address().port}/`);
+    server.close();
+    return { result, maxInFlight, duration: Date.now() - started };
+}
+
+/**
+ * Test that concurrentPages crawls in parallel without overshooting maxPages or losing results
+ */
+async function testConcurrency() {
+    console.log('⚡ Testing Concurrent Crawling\n');
+
+    const serial = await crawlSlowSite(1);
+    const parallel = await crawlSlowSite(3);
+
+    const testCases = [
+        { actual: serial.maxInFlight, expected: 1, description: 'One page at a time by default' },
+        { actual: parallel.maxInFlight, expected: 3, description: 'concurrentPages: 3 keeps three requests in flight' },
+        { actual: parallel.result.pages.length, expected: 6, description: 'Parallel workers stop at maxPages' },
+        { actual: parallel.result.emails.slice().sort().join(', '), expected: serial.result.emails.slice().sort().join(', '), description: 'Both crawls find the same emails' },
+        { actual: parallel.duration < serial.duration, expected: true, description: `The parallel crawl is faster (${parallel.duration}ms vs ${serial.duration}ms)` }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} concurrency checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testConcurrency();
@@ -0,0 +1,112 @@
+const http = require('http');
+const cheerio = require('cheerio');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+
+/**
+ * Test that names, titles and profiles are tied to the email in the same DOM block
+ */
+function testContactAssociation() {
+    console.log('🪪 Testing Contact Association\n');
+
+    const scraper = new EmailScraper({ collectPersonalData: true });
+    const $ = cheerio.load(`
+        <h1>Our Team</h1>
+        <ul>
+            <li class="team-member">
+                <h3>Jan Kowalski</h3><p class="role">CEO</p>
+                <a href="mailto:jan@firma.pl">Email</a>
+                <a href="https://linkedin.com/in/jankowalski">LinkedIn</a>
+            </li>
+            <li class="team-member">
+                <h3>Anna Nowak</h3><p class="role">Designer</p>
+                <span>anna@firma.pl</span>
+            </li>
+        </ul>
+        <table>
+            <tr><td>Piotr Zielinski</td><td class="position">Accountant</td><td>piotr@firma.pl</td></tr>
+        </table>
+        <p>General questions: info@firma.pl or biuro@firma.pl</p>
+    `);
+
+    const blocks = scraper.extractContactBlocks($);
+
+    const testCases = [
+        { email: 'jan@firma.pl', name: 'Jan Kowalski', title: 'CEO', linkedin: true },
+        { email: 'anna@firma.pl', name: 'Anna Nowak', title: 'Designer' },
+        { email: 'piotr@firma.pl', name: 'Piotr Zielinski', title: 'Accountant' },
+        { email: 'biuro@firma.pl', name: null, description: 'Shares a sentence with another address (page-level fallback)' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const block = blocks.get(testCase.email);
+        let ok;
+        if (testCase.name === null) {
+            ok = !block;
+        } else {
+            ok = Boolean(block)
+                && block.names.includes(testCase.name)
+                && block.jobTitles.includes(testCase.title)
+                && block.names.every(name => name === testCase.name)
+                && (!testCase.linkedin || (block.socialMedia.linkedin || []).length === 1);
+        }
+        if (ok) passed++;
+
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.email}${testCase.description ? ` - ${testCase.description}` : ''}`);
+        console.log(block
+            ? `   Names: ${block.names.join(', ') || '-'} | Titles: ${block.jobTitles.join(', ') || '-'} | Block: ${block.containers.join(', ')}\n`
+            : '   No DOM block\n');
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} associations correct`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+/**
+ * Test that a crawled team page gives each email only its own card's addresses and keywords
+ */
+async function testPageLevelSeparation() {
+    console.log('\n🗂️ Testing Page-Level Data Separation\n');
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(`<html lang="pl"><body>
+            <ul>
+                <li class="team-member"><h3>Jan Kowalski</h3><p class="role">Prezes</p><address>ul. Marszałkowska 10, 00-001 Warszawa</address><a href="mailto:jan@firma.pl">Email</a></li>
+                <li class="team-member"><h3>Anna Nowak</h3><p class="role">Księgowa</p><address>ul. Długa 5, 80-001 Gdańsk</address><a href="mailto:anna@firma.pl">Email</a></li>
+            </ul>
+            <p>Pisz na biuro@firma.pl</p>
+            <footer><address>ul. Piękna 1, 00-002 Warszawa</address></footer>
+        </body></html>`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const scraper = new EmailScraper({ fetchMode: 'http', respectRobots: false, delay: 0, maxPages: 1, useAICategorization: false, collectPersonalData: true });
+    const result = await scraper.scrape(`http://127.0.0.1:${server.address().port}/`);
+    server.close();
+
+    const data = email => result.personalData[email] || { addresses: [], keywords: [], pageContext: { addresses: [], keywords: [] } };
+    const raws = addresses => addresses.map(address => address.raw).sort().join(' | ');
+
+    const testCases = [
+        { actual: raws(data('jan@firma.pl').addresses), expected: 'ul. Marszałkowska 10, 00-001 Warszawa', description: 'An email gets only the address in its own card' },
+        { actual: data('jan@firma.pl').keywords.includes('Anna Nowak'), expected: false, description: "A colleague's name is not in an email's keywords" },
+        { actual: data('jan@firma.pl').keywords.includes('Jan Kowalski'), expected: true, description: "The card's own name is a keyword" },
+        { actual: raws(data('biuro@firma.pl').addresses), expected: '', description: 'An email outside any card gets no addresses' },
+        { actual: data('biuro@firma.pl').pageContext.addresses.length, expected: 3, description: 'The page-wide addresses go to pageContext' },
+        { actual: data('biuro@firma.pl').pageContext.keywords.includes('Anna Nowak'), expected: true, description: 'The page-wide keywords go to pageContext' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} page-level separation checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testContactAssociation();
+testPageLevelSeparation();
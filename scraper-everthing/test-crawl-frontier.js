@@ -0,0 +1,68 @@
+const { CrawlFrontier } = require('./src/utils/crawlFrontier');
+
+/**
+ * Test crawl frontier ordering with default and custom scoring rules
+ */
+function testCrawlFrontier() {
+    console.log('🧭 Testing Crawl Frontier Ordering\n');
+
+    const discoveredUrls = [
+        'https://example.com/blog/2023/05/launch',
+        'https://example.com/blog?page=4',
+        'https://example.com/products',
+        'https://example.com/impressum',
+        'https://example.com/about/team',
+        'https://example.com/contact'
+    ];
+
+    const frontier = new CrawlFrontier();
+    discoveredUrls.forEach(url => frontier.add(url, 1));
+
+    console.log('📋 Default rules (best first):');
+    let entry;
+    while ((entry = frontier.next())) {
+        console.log(`   ${String(entry.score).padStart(4)}  ${entry.url}`);
+    }
+
+    const customFrontier = new CrawlFrontier({
+        scoringRules: [{ pattern: '^/products', score: 20 }]
+    });
+    discoveredUrls.forEach(url => customFrontier.add(url, 1));
+
+    console.log('\n📋 With custom rule { pattern: "^/products", score: 20 }:');
+    while ((entry = customFrontier.next())) {
+        console.log(`   ${String(entry.score).padStart(4)}  ${entry.url}`);
+    }
+
+    console.log('\n💡 Expected Results:');
+    console.log('   • Contact and impressum pages come first with default rules');
+    console.log('   • Blog archives and ?page= URLs come last');
+    console.log('   • /products jumps to the top with the custom rule');
+
+    // Terms only count as whole path segments, so these near-misses stay neutral
+    const scorer = new CrawlFrontier();
+    const testCases = [
+        { url: 'https://example.com/research', expected: 0 },
+        { url: 'https://example.com/heritage', expected: 0 },
+        { url: 'https://example.com/stage', expected: 0 },
+        { url: 'https://example.com/newsletter', expected: 0 },
+        { url: 'https://example.com/cartography', expected: 0 },
+        { url: 'https://example.com/authority', expected: 0 },
+        { url: 'https://example.com/company-news/', expected: -4 },
+        { url: 'https://example.com/search?q=team', expected: -10 },
+        { url: 'https://example.com/contact-us.html', expected: 10 }
+    ];
+
+    console.log('\n🎯 Segment matching:');
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const actual = scorer.score(testCase.url);
+        const ok = actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.url} -> expected: ${testCase.expected}, got: ${actual}`);
+    });
+    console.log(`📊 ${passed}/${testCases.length} scoring checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testCrawlFrontier();
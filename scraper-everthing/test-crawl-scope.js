@@ -0,0 +1,59 @@
+const { CrawlScope } = require('./src/utils/crawlScope');
+const { validateScrapingOptions } = require('./src/utils/validators');
+
+/**
+ * Test include/exclude patterns, subdomains and query rules
+ */
+function testCrawlScope() {
+    console.log('🗺️  Testing Crawl Scope Rules\n');
+
+    const scope = new CrawlScope('https://www.example.com/', {
+        includePatterns: ['/team/**', '/^\\/(kontakt|contact)/i'],
+        excludePatterns: ['**/*.pdf'],
+        followSubdomains: true,
+        queryRules: [{ param: 'page', max: 3 }, { param: 'sessionid', exclude: true }]
+    });
+
+    const testCases = [
+        { url: 'https://www.example.com/', expected: true, description: 'Start URL (exempt from includes)' },
+        { url: 'https://example.com/team/jane-doe', expected: true, description: 'Glob include, www-less host' },
+        { url: 'https://example.com/Kontakt', expected: true, description: 'Regex include, case-insensitive' },
+        { url: 'https://jobs.example.com/team/', expected: true, description: 'Subdomain with followSubdomains' },
+        { url: 'https://example.org/team/', expected: false, description: 'Different host' },
+        { url: 'https://example.com/team/brochure.pdf', expected: false, description: 'Exclude pattern' },
+        { url: 'https://example.com/blog/post', expected: false, description: 'No include pattern matches' },
+        { url: 'https://example.com/team/?page=3', expected: true, description: 'Pagination within limit' },
+        { url: 'https://example.com/team/?page=4', expected: false, description: 'Pagination beyond limit' },
+        { url: 'https://example.com/team/?sessionid=abc', expected: false, description: 'Excluded query parameter' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const { allowed, reason } = scope.check(testCase.url);
+        const ok = allowed === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   URL: ${testCase.url}`);
+        console.log(`   Expected: ${testCase.expected}, Got: ${allowed}${reason ? ` (${reason})` : ''}\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} scope checks passed\n`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+/**
+ * Test that malformed patterns are rejected by option validation
+ */
+function testPatternValidation() {
+    console.log('🧪 Testing Pattern Validation\n');
+
+    const valid = validateScrapingOptions({ includePatterns: ['/team/**', '/^\\/about/'] });
+    const invalid = validateScrapingOptions({ excludePatterns: ['/(unclosed/'] });
+
+    console.log(`${valid.isValid ? '✅' : '❌'} Valid patterns accepted`);
+    console.log(`${!invalid.isValid ? '✅' : '❌'} Malformed regex rejected: ${invalid.error || 'no error'}`);
+    if (!valid.isValid || invalid.isValid) process.exitCode = 1;
+}
+
+testCrawlScope();
+testPatternValidation();
@@ -0,0 +1,52 @@
+const http = require('http');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+const { buildCrawlerIdentity } = require('./src/utils/crawlerIdentity');
+
+/**
+ * Test the crawler's User-Agent, From header and robots.txt product token
+ */
+async function testCrawlerIdentity() {
+    console.log('🪪 Testing Crawler Identity\n');
+
+    const identity = buildCrawlerIdentity({ name: 'Acme Contacts Bot', version: '2.1', infoUrl: 'https://acme.example/bot', contact: 'mailto:ops@acme.example' });
+    const defaults = buildCrawlerIdentity();
+
+    // Record the headers of every request; robots.txt only shuts out this crawler's product token
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, userAgent: req.headers['user-agent'], from: req.headers.from });
+        if (req.url === '/robots.txt') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            return res.end('User-agent: AcmeContactsBot\nDisallow: /private\n\nUser-agent: *\nDisallow:');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<html><body><h1>${req.url}</h1><a href="/private/list">List</a></body></html>`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const scraper = new EmailScraper({ ...identity, fetchMode: 'http', delay: 0, useAICategorization: false, collectPersonalData: false });
+    await scraper.scrape(`http://127.0.0.1:${server.address().port}/`);
+    server.close();
+
+    const testCases = [
+        { actual: identity.userAgent, expected: 'AcmeContactsBot/2.1 (+https://acme.example/bot; mailto:ops@acme.example)', description: 'User-Agent names the bot, its info page and contact' },
+        { actual: identity.contactEmail, expected: 'ops@acme.example', description: 'The contact address is taken from a mailto: contact' },
+        { actual: defaults.userAgent, expected: 'EmailScraperBot/1.0', description: 'Defaults without operator details' },
+        { actual: requests.every(request => request.userAgent === identity.userAgent), expected: true, description: 'Every request, robots.txt included, sends the User-Agent' },
+        { actual: requests.every(request => request.from === 'ops@acme.example'), expected: true, description: 'Every request sends the From header' },
+        { actual: requests.some(request => request.url === '/private/list'), expected: false, description: 'robots.txt rules for the product token apply' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} crawler identity checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testCrawlerIdentity();
@@ -0,0 +1,42 @@
+const EmailScraper = require('./src/scrapers/EmailScraper');
+
+/**
+ * Test Public Suffix List based email cleaning, IDN handling and the false-positive filter
+ */
+function testEmailDomains() {
+    console.log('🌐 Testing Email Domain Handling\n');
+
+    const scraper = new EmailScraper();
+
+    const testCases = [
+        { input: 'x@dept.university.ac.uk', expected: 'x@dept.university.ac.uk', description: 'Keeps a multi-label public suffix (ac.uk)' },
+        { input: 'y@firma.com.pl', expected: 'y@firma.com.pl', description: 'Keeps com.pl' },
+        { input: 'help@mysite.ai.26.sms', expected: 'help@mysite.ai', description: 'Drops labels after the last known TLD' },
+        { input: 'biuro@firma.com.plTelefon', expected: 'biuro@firma.com.pl', description: 'Cuts a word glued onto the TLD' },
+        { input: 'jan@firma.pl.Email', expected: 'jan@firma.pl', description: 'Cuts a capitalized word even when it is a TLD' },
+        { input: 'jan@xn--mller-kva.de', expected: 'jan@müller.de', description: 'Decodes punycode domains' },
+        { input: 'info@пример.рф', expected: 'info@пример.рф', description: 'Accepts Unicode domains' },
+        { input: 'logo@2x.png', expected: null, description: 'Rejects a domain without a known TLD' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const actual = scraper.cleanEmail(testCase.input);
+        const ok = actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   ${testCase.input} -> expected: "${testCase.expected}", got: "${actual}"\n`);
+    });
+
+    const text = 'Kontakt: jan@müller.de, jan@xn--mller-kva.de. Format: name@example.com or you@yourdomain.com';
+    const extracted = scraper.extractEmailsFromText(text).join('; ');
+    const ok = extracted === 'jan@müller.de';
+    if (ok) passed++;
+    console.log(`${testCases.length + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} Text extraction merges IDN spellings and drops placeholders`);
+    console.log(`   Expected: "jan@müller.de", got: "${extracted}"\n`);
+
+    console.log(`📊 ${passed}/${testCases.length + 1} email domain checks passed`);
+    if (passed < testCases.length + 1) process.exitCode = 1;
+}
+
+testEmailDomains();
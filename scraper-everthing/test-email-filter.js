@@ -0,0 +1,66 @@
+const http = require('http');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+const { checkEmailCandidate } = require('./src/utils/emailFilter');
+
+/**
+ * Scrape a one-page local site and return its rejected candidates by email
+ */
+async function scrapeRejected(html) {
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(html);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const scraper = new EmailScraper({ fetchMode: 'http', respectRobots: false, delay: 0, maxPages: 1, useAICategorization: false, collectPersonalData: false });
+    const result = await scraper.scrape(`http://127.0.0.1:${server.address().port}/`);
+    server.close();
+    return { emails: result.emails, rejected: Object.fromEntries(result.debug.rejectedEmails.map(entry => [entry.email, entry])) };
+}
+
+/**
+ * Test the false-positive filter's reason codes, and that real mailboxes on look-alike domains pass
+ */
+async function testEmailFilter() {
+    console.log('🧹 Testing Email False-Positive Filter\n');
+
+    const page = await scrapeRejected('<html><body><p>Sprite: logo@2x.png, icon@3x.webp. Write to biuro@firma.pl</p></body></html>');
+
+    const reason = email => (checkEmailCandidate(email) || {}).reason || null;
+    const testCases = [
+        { actual: reason('jan.kowalski@firma.pl'), expected: null, description: 'A real mailbox passes' },
+        { actual: reason('logo@2x.png'), expected: 'file_extension_tld', description: 'An image file name is no address' },
+        { actual: (page.rejected['logo@2x.png'] || {}).reason, expected: 'file_extension_tld', description: 'A scraped image file name is recorded under debug.rejectedEmails' },
+        { actual: (page.rejected['icon@3x.webp'] || {}).snippet, expected: 'Sprite: logo@2x.png, icon@3x.webp. Write to biuro@firma.pl', description: 'The debug entry keeps a snippet' },
+        { actual: page.emails.join(', '), expected: 'biuro@firma.pl', description: 'Only the real mailbox is kept' },
+        { actual: reason('intro@1080p.mov'), expected: 'file_extension_tld', description: 'A file name is no address' },
+        { actual: reason('assets@2x.zip'), expected: 'file_extension_tld', description: 'An archive with a size label is no address' },
+        { actual: reason('intro@1080p.mov'), expected: 'file_extension_tld', description: 'A video with a resolution label is no address' },
+        { actual: reason('jan@firma.zip'), expected: null, description: 'A mailbox on the .zip TLD is kept' },
+        { actual: reason('name@example.com'), expected: 'documentation_domain', description: 'Documentation domains are rejected' },
+        { actual: reason('you@yourdomain.com'), expected: 'placeholder_domain', description: 'Placeholder domains are rejected' },
+        { actual: reason('info@company.com'), expected: null, description: 'A real domain with a generic name is kept' },
+        { actual: reason('office@test.com'), expected: null, description: 'test.com is a real domain, unlike .test' },
+        { actual: reason('imie.nazwisko@firma.pl'), expected: 'placeholder_local', description: 'Placeholder local parts are rejected' },
+        { actual: reason('4f9c0a1b2c3d4e5f60718293a4b5c6d7@firma.pl'), expected: 'hex_hash_local', description: 'Hash local parts are rejected' },
+        { actual: reason('abc123@o123456.ingest.sentry.io'), expected: 'tracking_host', description: 'A Sentry DSN is rejected' },
+        { actual: reason('abc123@o42.ingest.us.sentry.io'), expected: 'tracking_host', description: 'A regional Sentry DSN is rejected' },
+        { actual: reason('key@sentry.acme-corp.com'), expected: 'tracking_host', description: 'A self-hosted Sentry DSN is rejected' },
+        { actual: reason('x@sentry-next.wixpress.com'), expected: 'tracking_host', description: 'Wix error reporting is rejected' },
+        { actual: reason('jobs@sentry.com'), expected: null, description: 'A company on its own sentry.com is kept' },
+        { actual: reason('biuro@sentry.pl'), expected: null, description: 'A company on its own sentry.pl is kept' },
+        { actual: reason('hr@sentry.co.uk'), expected: null, description: 'A company on its own sentry.co.uk is kept' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} email filter checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testEmailFilter();
@@ -0,0 +1,80 @@
+const http = require('http');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+const { generateCSVFromData } = require('./src/utils/csvExport');
+
+const PAGES = {
+    '/': `<html><body>
+        <p>Write to biuro@firma.pl with any questions.</p>
+        <p>Zarząd: <a href="mailto:jan@firma.pl">Jan Kowalski</a></p>
+        <p><span data-email="anna@firma.pl">Anna Nowak, księgowość</span></p>
+        <script type="application/ld+json">{ "@context": "https://schema.org", "@type": "Person", "name": "Piotr Zieliński", "email": "piotr@firma.pl" }</script>
+        <a href="/about">About</a>
+    </body></html>`,
+    '/about': '<html><body><p>Our office answers at biuro@firma.pl on weekdays.</p></body></html>'
+};
+
+/**
+ * Split one CSV line into cells, honoring quoted cells
+ */
+function parseCsvLine(line) {
+    return Array.from(line.matchAll(/(?:^|,)("(?:[^"]|"")*"|[^,]*)/g), match => match[1].replace(/^"|"$/g, '').replace(/""/g, '"'));
+}
+
+/**
+ * Test per-email provenance: extraction methods, snippets, first/last seen and the CSV columns
+ */
+async function testEmailProvenance() {
+    console.log('🧾 Testing Email Provenance\n');
+
+    const server = http.createServer((req, res) => {
+        // The second page answers later, so lastSeen moves past firstSeen
+        setTimeout(() => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(PAGES[req.url] || '');
+        }, req.url === '/about' ? 50 : 0);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const scraper = new EmailScraper({ fetchMode: 'http', respectRobots: false, delay: 0, useAICategorization: false, collectPersonalData: false });
+    const result = await scraper.scrape(`${base}/`);
+    server.close();
+
+    const sources = email => result.emailSources[email] || { occurrences: [] };
+    const methods = email => sources(email).occurrences.map(occurrence => occurrence.method).join(', ');
+    const snippet = email => (sources(email).occurrences[0] || { snippet: '' }).snippet;
+    const biuro = sources('biuro@firma.pl');
+
+    const csv = generateCSVFromData({ results: [{ success: true, url: `${base}/`, ...result }], timestamp: new Date().toISOString() });
+    const [header, ...rows] = csv.split('\n').map(parseCsvLine);
+    const row = rows.find(cells => cells[0] === 'biuro@firma.pl') || [];
+    const column = name => row[header.indexOf(name)];
+
+    const testCases = [
+        { actual: methods('biuro@firma.pl'), expected: 'text, text', description: 'Visible text is recorded once per page' },
+        { actual: methods('jan@firma.pl'), expected: 'mailto', description: 'mailto links are recorded' },
+        { actual: methods('anna@firma.pl'), expected: 'data-attribute', description: 'data-email attributes are recorded' },
+        { actual: methods('piotr@firma.pl'), expected: 'structured-data', description: 'schema.org markup is recorded' },
+        { actual: biuro.occurrences.map(occurrence => new URL(occurrence.url).pathname).join(', '), expected: '/, /about', description: 'Each occurrence names its page' },
+        { actual: snippet('biuro@firma.pl').startsWith('Write to biuro@firma.pl with any questions.'), expected: true, description: `A snippet shows the text around the address (${snippet('biuro@firma.pl')})` },
+        { actual: snippet('jan@firma.pl'), expected: 'Zarząd: Jan Kowalski', description: 'A short link snippet takes its label from the parent' },
+        { actual: snippet('anna@firma.pl'), expected: 'Anna Nowak, księgowość', description: 'A data attribute snippet is the element text' },
+        { actual: biuro.firstSeen < biuro.lastSeen, expected: true, description: `firstSeen precedes lastSeen across pages (${biuro.firstSeen} / ${biuro.lastSeen})` },
+        { actual: column('Found On'), expected: `${base}/ (text); ${base}/about (text)`, description: 'The CSV Found On column lists page and method' },
+        { actual: column('Context'), expected: biuro.occurrences.map(occurrence => occurrence.snippet).join(' | '), description: 'The CSV Context column joins the snippets' },
+        { actual: `${column('First Seen')} ${column('Last Seen')}`, expected: `${biuro.firstSeen} ${biuro.lastSeen}`, description: 'The CSV First Seen and Last Seen columns' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} provenance checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testEmailProvenance();
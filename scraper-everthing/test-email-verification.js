@@ -0,0 +1,69 @@
+const { EmailVerifier, checkEmailSyntax } = require('./src/utils/emailVerifier');
+
+/**
+ * Stub resolver answering from a fixed zone table; unknown names are NXDOMAIN
+ */
+function createStubResolver(zones) {
+    const answer = (type) => async (name) => {
+        const zone = zones[name] || zones[`*.${name.split('.').slice(1).join('.')}`];
+        if (zone === 'SERVFAIL') throw Object.assign(new Error('server failure'), { code: 'ESERVFAIL' });
+        if (!zone) throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+        if (!zone[type]) throw Object.assign(new Error('no data'), { code: 'ENODATA' });
+        return zone[type];
+    };
+    return { resolveMx: answer('mx'), resolve4: answer('a'), resolve6: answer('aaaa') };
+}
+
+/**
+ * Test syntax checks and verification statuses against a stub resolver
+ */
+async function testEmailVerification() {
+    console.log('📬 Testing Email Verification\n');
+
+    const verifier = new EmailVerifier({
+        dnsResolver: createStubResolver({
+            'firma.pl': { mx: [{ exchange: 'mx2.firma.pl', priority: 20 }, { exchange: 'mx1.firma.pl', priority: 10 }] },
+            'shop.de': { a: ['192.0.2.10'] },
+            'nomail.com': { mx: [{ exchange: '', priority: 0 }] },
+            'mailinator.com': { mx: [{ exchange: 'mail.mailinator.com', priority: 10 }] },
+            'startup.io': { mx: [{ exchange: 'mx1.improvmx.com', priority: 10 }] },
+            'wild.com': { mx: [{ exchange: 'mx.wild.com', priority: 10 }] },
+            '*.wild.com': { mx: [{ exchange: 'mx.wild.com', priority: 10 }] },
+            'broken.net': 'SERVFAIL'
+        }),
+        dnsTimeout: 1000
+    });
+
+    const longLocal = `${'a'.repeat(65)}@firma.pl`;
+    const testCases = [
+        { actual: checkEmailSyntax('"jan kowalski"@firma.pl'), expected: null, description: 'Accepts a quoted local part' },
+        { actual: checkEmailSyntax('jan..kowalski@firma.pl'), expected: 'Local part has a leading, trailing or double dot', description: 'Rejects a double dot' },
+        { actual: checkEmailSyntax(longLocal), expected: 'Local part is longer than 64 octets', description: 'Enforces the 64-octet local part limit' },
+        { email: 'jan@firma.pl', expected: 'valid', description: 'MX records make an address valid' },
+        { email: 'info@shop.de', expected: 'valid', description: 'An A record is the implicit MX' },
+        { email: 'info@nomail.com', expected: 'invalid', description: 'A null MX takes no mail' },
+        { email: 'ghost@nowhere-at-all.com', expected: 'invalid', description: 'NXDOMAIN is invalid' },
+        { email: 'test@mailinator.com', expected: 'risky', description: 'Disposable domains are risky' },
+        { email: 'hello@startup.io', expected: 'risky', description: 'A forwarding MX is a catch-all candidate' },
+        { email: 'anyone@wild.com', expected: 'risky', description: 'Wildcard DNS is a catch-all candidate' },
+        { email: 'info@broken.net', expected: 'unknown', description: 'A DNS failure leaves the status unknown' },
+        { email: longLocal, expected: 'invalid', description: 'Syntax errors are invalid without a lookup' }
+    ];
+
+    const verification = await verifier.verifyAll(testCases.filter(testCase => testCase.email).map(testCase => testCase.email));
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const result = testCase.email ? verification[testCase.email] : null;
+        const actual = testCase.email ? result.status : testCase.actual;
+        const ok = actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${actual}"${result && result.reasons.length > 0 ? ` (${result.reasons.join(', ')})` : ''}\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} verification checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testEmailVerification();
@@ -124,7 +124,7 @@ async function testEnhancedScraper() {
                 if (socialPlatforms.length > 0) {
                     console.log(`   🌐 Social Media:`);
                     socialPlatforms.forEach(platform => {
-                        console.log(`      ${platform}: ${data.socialMedia[platform].join(', ')}`);
+                        console.log(`      ${platform}: ${data.socialMedia[platform].map(profile => profile.url).join(', ')}`);
                     });
                 }
             });
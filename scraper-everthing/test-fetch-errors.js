@@ -0,0 +1,52 @@
+const { classifyHttpStatus, classifyFetchError, parseRetryAfter } = require('./src/utils/fetchErrors');
+
+/**
+ * Error shaped like the ones axios, Node and Puppeteer throw
+ */
+function fetchError(message, fields = {}) {
+    return Object.assign(new Error(message), fields);
+}
+
+/**
+ * Test HTTP status and fetch error classification, and Retry-After parsing
+ */
+function testFetchErrors() {
+    console.log('🚦 Testing Fetch Error Classification\n');
+
+    const describe = failure => (failure ? `${failure.category}${failure.transient ? ' (transient)' : ''}` : null);
+    const testCases = [
+        { actual: describe(classifyHttpStatus(200)), expected: null, description: '2xx is no failure' },
+        { actual: describe(classifyHttpStatus(304)), expected: null, description: '3xx is no failure' },
+        { actual: describe(classifyHttpStatus(404)), expected: 'client_error', description: '404 is permanent' },
+        { actual: describe(classifyHttpStatus(429)), expected: 'rate_limited (transient)', description: '429 is retried' },
+        { actual: describe(classifyHttpStatus(503)), expected: 'server_error (transient)', description: '503 is retried' },
+        { actual: describe(classifyHttpStatus(504)), expected: 'timeout (transient)', description: '504 counts as a timeout' },
+        { actual: describe(classifyHttpStatus(501)), expected: 'server_error', description: '501 is permanent' },
+        { actual: describe(classifyFetchError(fetchError('timeout of 30000ms exceeded', { code: 'ECONNABORTED' }))), expected: 'timeout (transient)', description: 'axios timeouts are retried' },
+        { actual: describe(classifyFetchError(fetchError('Navigation timeout of 15000 ms exceeded', { name: 'TimeoutError' }))), expected: 'timeout (transient)', description: 'Puppeteer timeouts are retried' },
+        { actual: describe(classifyFetchError(fetchError('getaddrinfo EAI_AGAIN example.com', { code: 'EAI_AGAIN' }))), expected: 'dns_temporary (transient)', description: 'A temporary DNS failure is retried' },
+        { actual: describe(classifyFetchError(fetchError('getaddrinfo ENOTFOUND nope.example', { code: 'ENOTFOUND' }))), expected: 'dns', description: 'An unknown host is permanent' },
+        { actual: describe(classifyFetchError(fetchError('net::ERR_CERT_DATE_INVALID at https://example.com'))), expected: 'tls', description: 'Certificate errors are permanent' },
+        { actual: describe(classifyFetchError(fetchError('socket hang up', { code: 'ECONNRESET' }))), expected: 'connection (transient)', description: 'Connection resets are retried' },
+        { actual: describe(classifyFetchError(fetchError('net::ERR_ABORTED at https://example.com/doc.pdf'))), expected: 'navigation_aborted', description: 'Aborted navigations (downloads) are not retried' },
+        { actual: describe(classifyFetchError(fetchError('Navigating frame was detached'))), expected: 'navigation_interrupted (transient)', description: 'A detached frame is retried' },
+        { actual: describe(classifyFetchError(fetchError('net::ERR_TOO_MANY_REDIRECTS'))), expected: 'redirect_loop', description: 'Redirect loops are permanent' },
+        { actual: describe(classifyFetchError(fetchError('something odd'))), expected: 'other', description: 'Anything else is permanent' },
+        { actual: parseRetryAfter('120'), expected: 120000, description: 'Retry-After in seconds' },
+        { actual: parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), expected: 0, description: 'A Retry-After date in the past means now' },
+        { actual: parseRetryAfter('soon'), expected: null, description: 'An unreadable Retry-After is ignored' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} fetch error checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testFetchErrors();
@@ -0,0 +1,65 @@
+const http = require('http');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+
+const FILLER = '<p>Our team of consultants helps companies across Europe plan, build and run their software. '.repeat(4) + '</p>';
+
+const PAGES = {
+    '/static': `<html><body><h1>Kontakt</h1>${FILLER}<p>biuro@firma.pl</p></body></html>`,
+    '/spa': '<html><body><div id="root"></div><script src="/app.js"></script></body></html>',
+    '/empty-next': `<html><body><div id="__next"></div><footer>${FILLER}</footer></body></html>`,
+    '/script-heavy': `<html><body><script>${'var a = 1;'.repeat(100)}</script><noscript>${FILLER}</noscript></body></html>`
+};
+
+/**
+ * Test the HTTP-first fetch mode's decision to fall back to the browser
+ */
+async function testFetchMode() {
+    console.log('🌗 Testing Fetch Mode Fallback\n');
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(PAGES[req.url] || '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    // Record browser fallbacks instead of launching Chromium
+    const scraper = new EmailScraper({ fetchMode: 'auto', useAICategorization: false });
+    const rendered = [];
+    scraper.fetchPageWithBrowser = async (url) => {
+        rendered.push(new URL(url).pathname);
+        return { html: '<html><body>rendered</body></html>', finalUrl: url, status: 200, contentType: 'text/html', redirectChain: [], fetchedWith: 'browser' };
+    };
+
+    const fetchedWith = {};
+    for (const path of Object.keys(PAGES)) {
+        fetchedWith[path] = (await scraper.fetchPageContent(`${base}${path}`)).fetchedWith;
+    }
+    const httpOnly = new EmailScraper({ fetchMode: 'http', useAICategorization: false });
+    const httpOnlyResult = await httpOnly.fetchPageContent(`${base}/spa`);
+    server.close();
+
+    const testCases = [
+        { actual: scraper.looksJsRendered(PAGES['/static']), expected: false, description: 'A page with real text is static' },
+        { actual: scraper.looksJsRendered(PAGES['/spa']), expected: true, description: 'An empty React root needs a browser' },
+        { actual: scraper.looksJsRendered(PAGES['/empty-next']), expected: true, description: 'An empty Next.js root needs a browser despite other text' },
+        { actual: scraper.looksJsRendered(PAGES['/script-heavy']), expected: true, description: 'Script and noscript text does not count' },
+        { actual: fetchedWith['/static'], expected: 'http', description: 'auto keeps the HTTP result for static pages' },
+        { actual: fetchedWith['/spa'], expected: 'browser', description: 'auto renders JS pages in the browser' },
+        { actual: rendered.join(', '), expected: '/spa, /empty-next, /script-heavy', description: 'Only JS-rendered pages reach the browser' },
+        { actual: httpOnlyResult.fetchedWith, expected: 'http', description: 'http mode never falls back' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} fetch mode checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testFetchMode();
@@ -0,0 +1,100 @@
+const http = require('http');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+
+/**
+ * Smallest valid one-page PDF showing `text`
+ */
+function buildPdf(text) {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+const VCARD = 'BEGIN:VCARD\nVERSION:3.0\nFN:Jan Kowalski\nEMAIL:jan.kowalski@firma.pl\nEND:VCARD';
+
+/**
+ * Local site linking vCards and PDFs, some of them behind redirects that leave the scope or hit robots.txt rules
+ */
+function startStubServer() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        // localhost is served by the same stub but is another host than the 127.0.0.1 start URL
+        const redirects = {
+            '/team/jan.vcf': '/cards/jan.vcf',
+            '/team/offsite.vcf': `http://localhost:${server.address().port}/cards/anna.vcf`,
+            '/team/private.vcf': '/private/piotr.vcf',
+            '/docs/brochure.pdf': '/files/brochure.pdf'
+        };
+        if (req.url === '/robots.txt') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            return res.end('User-agent: *\nDisallow: /private');
+        }
+        if (redirects[req.url]) {
+            res.writeHead(302, { Location: redirects[req.url] });
+            return res.end();
+        }
+        if (['/cards/jan.vcf', '/cards/anna.vcf', '/private/piotr.vcf'].includes(req.url)) {
+            res.writeHead(200, { 'Content-Type': 'text/vcard' });
+            return res.end(VCARD.replace('jan.kowalski', req.url.match(/\/(\w+)\.vcf$/)[1].replace('jan', 'jan.kowalski')));
+        }
+        if (req.url === '/files/brochure.pdf') {
+            res.writeHead(200, { 'Content-Type': 'application/pdf' });
+            return res.end(buildPdf('Press office: prasa@firma.pl'));
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<html><body><h1>Team</h1><a href="/team/jan.vcf">Jan</a> <a href="/team/offsite.vcf">Anna</a> <a href="/team/private.vcf">Piotr</a> <a href="/docs/brochure.pdf">Brochure</a></body></html>');
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+/**
+ * Test that linked vCards and PDFs are read, and that their redirects are checked hop by hop
+ */
+async function testLinkedFiles() {
+    console.log('📎 Testing Linked vCards and PDFs\n');
+
+    const { server, requests } = await startStubServer();
+    const scraper = new EmailScraper({ fetchMode: 'http', delay: 0, maxPages: 1, scanPdfs: true, useAICategorization: false });
+    const result = await scraper.scrape(`http://127.0.0.1:${server.address().port}/`);
+    server.close();
+
+    const methods = email => ((result.emailSources[email] || {}).occurrences || []).map(source => source.method).join(', ');
+
+    const testCases = [
+        { actual: methods('jan.kowalski@firma.pl'), expected: 'vcard', description: 'A vCard behind an in-scope redirect is read' },
+        { actual: methods('prasa@firma.pl'), expected: 'pdf', description: 'A PDF behind an in-scope redirect is searched' },
+        { actual: requests.includes('/cards/anna.vcf'), expected: false, description: 'A redirect out of the crawl scope is not followed' },
+        { actual: requests.includes('/private/piotr.vcf'), expected: false, description: 'A redirect to a path disallowed by robots.txt is not followed' },
+        { actual: result.emails.slice().sort().join(', '), expected: 'jan.kowalski@firma.pl, prasa@firma.pl', description: 'Only the allowed files contribute emails' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} linked file checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testLinkedFiles();
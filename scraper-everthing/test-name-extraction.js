@@ -43,6 +43,45 @@ function testEmailNameExtraction() {
     console.log('   • Generic emails (admin, info, etc.) -> No extraction');
 }
 
+/**
+ * Test Unicode names and locale stopwords on Polish, German and English text
+ */
+function testUnicodeNameExtraction() {
+    console.log('\n🌍 Testing Unicode Name Extraction\n');
+
+    const scraper = new EmailScraper();
+
+    const testCases = [
+        {
+            language: 'pl',
+            text: 'Kontakt: Łukasz Żółć - Prezes Zarządu. Nasz Zespół: dr Agnieszka Wiśniewska-Nowak. Polityka Prywatności',
+            expected: ['Łukasz Żółć', 'Agnieszka Wiśniewska-Nowak'],
+            rejected: ['Nasz Zespół', 'Polityka Prywatności']
+        },
+        {
+            language: 'de',
+            text: 'Impressum. Vertreten durch: Jürgen Müller. Ansprechpartner: Ludwig van der Berg. Allgemeine Geschäftsbedingungen',
+            expected: ['Jürgen Müller', 'Ludwig van der Berg'],
+            rejected: ['Allgemeine Geschäftsbedingungen']
+        },
+        {
+            language: 'en',
+            text: "Meet José Núñez and Siobhan O'Brien. Read More about our Privacy Policy.",
+            expected: ['José Núñez', "Siobhan O'Brien"],
+            rejected: ['Read More', 'Privacy Policy']
+        }
+    ];
+
+    testCases.forEach(testCase => {
+        const names = scraper.extractNamesWithContext(testCase.text, testCase.language);
+        // Exact list: no missing names, no honorific duplicates ("dr Agnieszka ..." next to "Agnieszka ...")
+        const exact = names.slice().sort().join(', ') === testCase.expected.slice().sort().join(', ');
+        const clean = testCase.rejected.every(name => !names.includes(name));
+        console.log(`${exact && clean ? '✅' : '❌'} [${testCase.language}] ${names.join(', ')}`);
+        if (!exact) console.log(`   Expected: ${testCase.expected.join(', ')}`);
+    });
+}
+
 /**
  * Test AI name generation with sample data
  */
@@ -189,6 +228,7 @@ if (require.main === module) {
     
     // Test email name extraction
     testEmailNameExtraction();
+    testUnicodeNameExtraction();
     
     // Test AI name generation
     testAINameGeneration().then(() => {
@@ -201,6 +241,7 @@ if (require.main === module) {
 
 module.exports = { 
     testEmailNameExtraction, 
+    testUnicodeNameExtraction,
     testAINameGeneration, 
     testCompleteWorkflow 
 }; 
\ No newline at end of file
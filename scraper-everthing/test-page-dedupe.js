@@ -0,0 +1,54 @@
+const http = require('http');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+
+// Every page names the homepage as canonical, as some misconfigured themes do
+const PAGES = {
+    '/': '<p>Welcome</p><a href="/team">Team</a> <a href="/contact">Contact</a> <a href="/ludzie">Ludzie</a> <a href="/copy">Copy</a>',
+    '/team': '<p>Jan Kowalski: jan@firma.pl</p>',
+    '/contact': '<p>Biuro: biuro@firma.pl</p>',
+    '/ludzie': '<link rel="canonical" href="/team"><p>Jan Kowalski: jan@firma.pl (kopia)</p>',
+    '/copy': '<p>Biuro: biuro@firma.pl</p>'
+};
+
+/**
+ * Test canonical and content-hash page deduplication
+ */
+async function testPageDedupe() {
+    console.log('🪞 Testing Duplicate Page Detection\n');
+
+    const server = http.createServer((req, res) => {
+        const body = PAGES[req.url] || '';
+        const canonical = body.includes('rel="canonical"') ? '' : '<link rel="canonical" href="/">';
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<html><head>${canonical}</head><body>${body}</body></html>`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const scraper = new EmailScraper({ fetchMode: 'http', respectRobots: false, delay: 0, useAICategorization: false, collectPersonalData: false });
+    const result = await scraper.scrape(`http://127.0.0.1:${server.address().port}/`);
+    server.close();
+
+    const outcome = path => (result.pages.find(record => new URL(record.url).pathname === path) || {}).outcome;
+
+    const testCases = [
+        { actual: outcome('/'), expected: 'ok', description: 'The homepage is processed' },
+        { actual: outcome('/team'), expected: 'ok', description: 'A root canonical on another page is ignored' },
+        { actual: outcome('/contact'), expected: 'ok', description: 'Pages with distinct text all survive a root canonical' },
+        { actual: outcome('/ludzie'), expected: 'duplicate', description: 'A canonical to another page is still trusted' },
+        { actual: outcome('/copy'), expected: 'duplicate', description: 'Identical text falls back to content-hash dedup' },
+        { actual: result.emails.slice().sort().join(', '), expected: 'biuro@firma.pl, jan@firma.pl', description: 'Emails from the surviving pages are kept' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} duplicate page checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testPageDedupe();
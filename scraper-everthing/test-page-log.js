@@ -0,0 +1,68 @@
+const http = require('http');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+
+/**
+ * Local site with a redirect chain, a missing page and a PDF download
+ */
+function startStubServer() {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/old-contact') {
+            res.writeHead(301, { Location: '/contact-moved' });
+            return res.end();
+        }
+        if (req.url === '/contact-moved') {
+            res.writeHead(302, { Location: '/contact' });
+            return res.end();
+        }
+        if (req.url === '/missing') {
+            res.writeHead(404, { 'Content-Type': 'text/html' });
+            return res.end('<html><body>Not found</body></html>');
+        }
+        if (req.url === '/brochure.pdf') {
+            res.writeHead(200, { 'Content-Type': 'application/pdf' });
+            return res.end('%PDF-1.4');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(`<html><body><h1>${req.url}</h1><a href="/old-contact">Contact</a> <a href="/missing">Old page</a> <a href="/brochure.pdf">Brochure</a></body></html>`);
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Test the per-page log: status, redirect chain, content type and outcome
+ */
+async function testPageLog() {
+    console.log('📒 Testing Page Log\n');
+
+    const server = await startStubServer();
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const scraper = new EmailScraper({ fetchMode: 'http', respectRobots: false, delay: 0, maxRetries: 0, useAICategorization: false, collectPersonalData: false });
+    const result = await scraper.scrape(`${base}/`);
+    server.close();
+
+    const page = path => result.pages.find(record => new URL(record.url).pathname === path) || {};
+    const redirect = page('/old-contact');
+
+    const testCases = [
+        { actual: `${page('/').status} ${page('/').outcome}`, expected: '200 ok', description: 'A normal page is logged with its status' },
+        { actual: page('/').contentType, expected: 'text/html; charset=utf-8', description: 'The content type is recorded' },
+        { actual: (redirect.redirectChain || []).map(hop => `${hop.status} ${new URL(hop.url).pathname}`).join(' -> '), expected: '301 /old-contact -> 302 /contact-moved', description: 'Each redirect hop is recorded' },
+        { actual: redirect.finalUrl, expected: `${base}/contact`, description: 'The final URL is recorded' },
+        { actual: `${page('/missing').status} ${page('/missing').outcome}`, expected: '404 http_error', description: 'An HTTP error is logged as http_error' },
+        { actual: page('/brochure.pdf').outcome, expected: 'non_html', description: 'A PDF download is skipped as non_html' },
+        { actual: result.pages.every(record => typeof record.durationMs === 'number'), expected: true, description: 'Every page has a duration' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} page log checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testPageLog();
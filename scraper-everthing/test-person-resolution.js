@@ -0,0 +1,56 @@
+const { resolvePeople } = require('./src/utils/personResolver');
+
+/**
+ * Per-email record as the scraper builds it for entity resolution
+ */
+function record(email, fields = {}) {
+    return { email, localName: null, names: [], jobTitles: [], companies: [], socialMedia: {}, pageSocialMedia: {}, blocks: [], ...fields };
+}
+
+/**
+ * Test clustering of emails into people and the links behind each merge
+ */
+function testPersonResolution() {
+    console.log('🧑 Testing Person Resolution\n');
+
+    const linkedin = { linkedin: [{ handle: 'jan-kowalski-1a2b', url: 'https://www.linkedin.com/in/jan-kowalski-1a2b', type: 'person' }] };
+    const people = resolvePeople([
+        record('jan.kowalski@firma.pl', { localName: 'Jan Kowalski', names: ['Jan Kowalski'], jobTitles: ['Sales Manager'], blocks: ['/#0'] }),
+        record('jk@firma.pl', { blocks: ['/#0'] }),
+        record('kowalski@firma.pl'),
+        record('jan.k@gmail.com', { localName: 'Jan K', names: ['Jan Kowalski'], socialMedia: linkedin }),
+        record('j.kowalski@other.com', { localName: 'J Kowalski', socialMedia: linkedin }),
+        record('anna.nowak@firma.pl', { localName: 'Anna Nowak', names: ['Anna Nowak', 'Piotr Zielinski'], blocks: ['/#1'] }),
+        record('piotr@firma.pl', { names: ['Anna Nowak', 'Piotr Zielinski'], blocks: ['/#1'] }),
+        record('marek.kowalski@firma.pl', { localName: 'Marek Kowalski' })
+    ]);
+    const personOf = email => people.find(person => person.emails.includes(email));
+    const jan = personOf('jan.kowalski@firma.pl');
+    const reasons = jan.evidence.map(link => link.reason);
+
+    const testCases = [
+        { actual: personOf('jk@firma.pl') === jan, expected: true, description: 'Initials on the same card join the person' },
+        { actual: personOf('kowalski@firma.pl') === jan, expected: true, description: 'A surname local part on the same domain joins the person' },
+        { actual: personOf('jan.k@gmail.com') === jan, expected: true, description: 'The same full name joins across domains' },
+        { actual: personOf('j.kowalski@other.com') === jan, expected: true, description: 'An initial and a shared profile join across domains' },
+        { actual: personOf('piotr@firma.pl') === personOf('anna.nowak@firma.pl'), expected: false, description: 'A colleague on a shared card stays apart' },
+        { actual: personOf('marek.kowalski@firma.pl') === jan, expected: false, description: 'A different first name with the same surname stays apart' },
+        { actual: jan.name, expected: 'Jan Kowalski', description: 'The spelled-out name is the display name' },
+        { actual: jan.mergeConfidence, expected: Math.min(...jan.evidence.map(link => link.score)), description: 'mergeConfidence is the weakest link' },
+        { actual: ['shared_block', 'same_name', 'local_part'].every(reason => reasons.includes(reason)), expected: true, description: 'Evidence records the links used' },
+        { actual: personOf('marek.kowalski@firma.pl').mergeConfidence, expected: null, description: 'A single email has no merge confidence' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} person resolution checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testPersonResolution();
@@ -99,7 +99,7 @@ async function testPersonalDataScraping() {
                 if (socialPlatforms.length > 0) {
                     console.log(`   🌐 Social Media:`);
                     socialPlatforms.forEach(platform => {
-                        console.log(`      ${platform}: ${data.socialMedia[platform].join(', ')}`);
+                        console.log(`      ${platform}: ${data.socialMedia[platform].map(profile => profile.url).join(', ')}`);
                     });
                 }
             });
@@ -0,0 +1,93 @@
+const http = require('http');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+
+const ROBOTS_TXT = [
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: EmailScraperBot',
+    'Disallow: /private',
+    'Allow: /private/press',
+    'Crawl-delay: 0.3'
+].join('\n');
+
+/**
+ * Local site: one host with a stub robots.txt, another whose robots.txt fails with a 503.
+ * Page paths requested are collected in `requested`
+ */
+function startStubServer(requested) {
+    const server = http.createServer((req, res) => {
+        requested.push(req.url);
+        if (req.url === '/old-team') {
+            res.writeHead(301, { Location: '/private/team' });
+            return res.end();
+        }
+        if (req.url === '/robots.txt') {
+            if (req.headers.host.startsWith('localhost')) {
+                res.writeHead(503);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            return res.end(ROBOTS_TXT);
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<html><body><h1>${req.url}</h1><a href="/private/team">Team</a> <a href="/private/press">Press</a> <a href="/old-team">Old team page</a></body></html>`);
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Test per-URL robots.txt rules, product-token groups, 5xx handling and Crawl-delay spacing
+ */
+async function testRobotsTxt() {
+    console.log('🤖 Testing robots.txt Enforcement\n');
+
+    const requested = [];
+    const server = await startStubServer(requested);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const scraper = new EmailScraper({ fetchMode: 'http', delay: 0, maxPages: 5, useAICategorization: false });
+
+    const allowedPage = await scraper.checkRobotsTxt(`${base}/about`);
+    const disallowedPage = await scraper.checkRobotsTxt(`${base}/private/team`);
+    const allowException = await scraper.checkRobotsTxt(`${base}/private/press`);
+    const serverError = await scraper.checkRobotsTxt(`http://localhost:${server.address().port}/about`);
+    const crawlDelay = await scraper.getCrawlDelay(`${base}/about`);
+
+    // The second and third request to the host wait one Crawl-delay each
+    const started = Date.now();
+    for (let i = 0; i < 3; i++) {
+        await scraper.throttleHost(`${base}/page-${i}`);
+    }
+    const throttled = Date.now() - started;
+
+    const crawl = new EmailScraper({ fetchMode: 'http', delay: 0, maxPages: 6, useAICategorization: false, collectPersonalData: false });
+    const result = await crawl.scrape(`${base}/`);
+    const outcomes = Object.fromEntries(result.pages.map(page => [new URL(page.url).pathname, page.outcome]));
+    server.close();
+
+    const testCases = [
+        { actual: allowedPage, expected: true, description: 'The product-token group applies instead of "User-agent: *"' },
+        { actual: disallowedPage, expected: false, description: 'Disallow is checked for each URL path' },
+        { actual: allowException, expected: true, description: 'A longer Allow rule wins over Disallow' },
+        { actual: serverError, expected: false, description: 'A 5xx robots.txt blocks the whole host' },
+        { actual: crawlDelay, expected: 300, description: 'Crawl-delay is read for the product token' },
+        { actual: throttled >= 550 && throttled < 1500, expected: true, description: `Requests are spaced by Crawl-delay (${throttled}ms for 3 requests)` },
+        { actual: outcomes['/private/team'], expected: 'blocked', description: 'Disallowed links are logged as blocked during a crawl' },
+        { actual: outcomes['/private/press'], expected: 'ok', description: 'Allowed links under a disallowed path are crawled' },
+        { actual: outcomes['/old-team'], expected: 'blocked', description: 'A redirect into a disallowed path is logged as blocked' },
+        { actual: requested.includes('/private/team'), expected: false, description: 'The disallowed redirect target is never requested' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} robots.txt checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testRobotsTxt();
@@ -0,0 +1,90 @@
+const http = require('http');
+const zlib = require('zlib');
+const EmailScraper = require('./src/scrapers/EmailScraper');
+const { loadSitemapUrls, decodeSitemapBody } = require('./src/utils/sitemapLoader');
+
+const urlset = (base, paths) => `<?xml version="1.0"?><urlset>${paths.map(path => `<url><loc>${base}${path}</loc></url>`).join('')}</urlset>`;
+const sitemapIndex = locs => `<?xml version="1.0"?><sitemapindex>${locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('')}</sitemapindex>`;
+
+/**
+ * Local site whose robots.txt names a sitemap index. The index lists a gzipped sitemap (sent without
+ * Content-Encoding), a sitemap on another host and one under a path robots.txt disallows
+ */
+function startStubServer(requested) {
+    const server = http.createServer((req, res) => {
+        requested.push(req.url);
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const other = `http://localhost:${server.address().port}`;
+        const files = {
+            '/robots.txt': ['text/plain', `User-agent: *\nDisallow: /private\n\nSitemap: ${base}/sitemap_index.xml`],
+            '/sitemap_index.xml': ['application/xml', sitemapIndex([`${base}/sitemaps/pages.xml.gz`, `${other}/sitemaps/other.xml`, `${base}/private/sitemap.xml`])],
+            '/sitemaps/pages.xml.gz': ['application/octet-stream', zlib.gzipSync(urlset(base, ['/team', '/contact', '/blog/post-1', '/blog/post-2', '/blog/post-3']))],
+            '/sitemaps/other.xml': ['application/xml', urlset(other, ['/elsewhere'])],
+            '/private/sitemap.xml': ['application/xml', urlset(base, ['/hidden'])]
+        };
+        const file = files[req.url];
+        if (file) {
+            res.writeHead(200, { 'Content-Type': file[0] });
+            return res.end(file[1]);
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<html><body><h1>${req.url}</h1></body></html>`);
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Test sitemap discovery through robots.txt, nested indexes, gzip detection, the size cap and the scope filter
+ */
+async function testSitemaps() {
+    console.log('🗺️ Testing Sitemap Seeding\n');
+
+    const requested = [];
+    const server = await startStubServer(requested);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const loaded = await loadSitemapUrls(`${base}/`, { sitemapFilter: async url => url.startsWith(base) && !url.includes('/private/') });
+
+    const events = [];
+    const scraper = new EmailScraper({
+        fetchMode: 'http', delay: 0, maxPages: 10, useSitemaps: true, excludePatterns: ['/blog/**'],
+        useAICategorization: false, collectPersonalData: false, onProgress: event => events.push(event)
+    });
+    const result = await scraper.scrape(`${base}/`);
+    server.close();
+
+    const crawled = result.pages.map(page => new URL(page.url).pathname).sort().join(', ');
+    const seeded = events.find(event => event.type === 'sitemap_seeded') || {};
+
+    // A 1 KB sitemap of zeros gunzipped against a 512-byte cap
+    const bomb = zlib.gzipSync(Buffer.alloc(1024));
+    let overflow = null;
+    try {
+        decodeSitemapBody(bomb, 512);
+    } catch (error) {
+        overflow = error.message;
+    }
+
+    const testCases = [
+        { actual: loaded.pages.map(url => new URL(url).pathname).join(', '), expected: '/team, /contact, /blog/post-1, /blog/post-2, /blog/post-3', description: 'robots.txt -> index -> gzipped sitemap yields its pages' },
+        { actual: decodeSitemapBody(zlib.gzipSync('<urlset/>')), expected: '<urlset/>', description: 'Gzip is detected from the magic bytes' },
+        { actual: overflow, expected: 'Sitemap larger than 512 bytes uncompressed', description: 'A sitemap inflating past the cap is an error' },
+        { actual: (seeded.sitemaps || []).map(url => new URL(url).pathname).join(', '), expected: '/sitemap_index.xml, /sitemaps/pages.xml.gz', description: 'Sitemaps on other hosts or disallowed paths are not read' },
+        { actual: requested.some(path => path === '/sitemaps/other.xml' || path === '/private/sitemap.xml'), expected: false, description: 'Skipped sitemaps are never requested' },
+        { actual: crawled, expected: '/, /contact, /team', description: 'Seeded pages honor excludePatterns' },
+        { actual: events.filter(event => event.type === 'url_filtered').length, expected: 0, description: 'Filtered sitemap URLs send no url_filtered events' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const ok = testCase.actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   Expected: "${testCase.expected}", got: "${testCase.actual}"\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} sitemap checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testSitemaps();
@@ -0,0 +1,38 @@
+const { matchSocialProfile } = require('./src/utils/socialProfiles');
+
+/**
+ * Test social profile recognition, share-link rejection and URL normalization
+ */
+function testSocialProfiles() {
+    console.log('🌐 Testing Social Profile Detection\n');
+
+    const testCases = [
+        { link: 'https://twitter.com/intent/tweet?text=Hi', expected: null, description: 'Twitter intent is not a profile' },
+        { link: 'https://www.facebook.com/sharer/sharer.php?u=https://firma.pl', expected: null, description: 'Facebook share button is not a profile' },
+        { link: 'https://www.linkedin.com/shareArticle?mini=true', expected: null, description: 'LinkedIn share is not a profile' },
+        { link: 'linkedin.com/in/JanKowalski/', expected: 'https://www.linkedin.com/in/jankowalski (person)', description: 'LinkedIn person without scheme' },
+        { link: 'https://pl.linkedin.com/company/firma', expected: 'https://www.linkedin.com/company/firma (company)', description: 'LinkedIn company on a country subdomain' },
+        { link: 'https://x.com/JanK/status/1234', expected: 'https://x.com/jank (unknown)', description: 'Post links to its author' },
+        { link: 'https://github.com/octocat/hello-world', expected: 'https://github.com/octocat (unknown)', description: 'GitHub repository owner' },
+        { link: 'https://www.tiktok.com/@firma.pl', expected: 'https://www.tiktok.com/@firma.pl (unknown)', description: 'TikTok' },
+        { link: 'https://fosstodon.org/@jan', expected: 'https://fosstodon.org/@jan (unknown)', description: 'Mastodon' },
+        { link: 'https://bsky.app/profile/jan.bsky.social', expected: 'https://bsky.app/profile/jan.bsky.social (unknown)', description: 'Bluesky' },
+        { link: 'https://www.threads.net/@jank', expected: 'https://www.threads.net/@jank (unknown)', description: 'Threads' },
+        { link: 'https://www.xing.com/profile/Jan_Kowalski', expected: 'https://www.xing.com/profile/Jan_Kowalski (person)', description: 'Xing person' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const profile = matchSocialProfile(testCase.link);
+        const actual = profile ? `${profile.url} (${profile.type || 'unknown'})` : null;
+        const ok = actual === testCase.expected;
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   ${testCase.link} -> ${actual || 'rejected'}\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} social profile checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testSocialProfiles();
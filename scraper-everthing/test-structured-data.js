@@ -0,0 +1,65 @@
+const cheerio = require('cheerio');
+const { extractStructuredData } = require('./src/utils/structuredData');
+
+/**
+ * Test schema.org extraction from JSON-LD, microdata and RDFa, plus hCard
+ */
+function testStructuredData() {
+    console.log('🧩 Testing Structured Data Extraction\n');
+
+    const $ = cheerio.load(`
+        <script type="application/ld+json">
+        {
+            "@context": "https://schema.org",
+            "@type": "Organization",
+            "name": "Firma Sp. z o.o.",
+            "email": "mailto:biuro@firma.pl",
+            "sameAs": ["https://www.linkedin.com/company/firma"],
+            "address": { "@type": "PostalAddress", "streetAddress": "ul. Długa 5", "postalCode": "00-238", "addressLocality": "Warszawa", "addressCountry": "PL" },
+            "contactPoint": { "@type": "ContactPoint", "contactType": "customer service", "email": "pomoc@firma.pl" },
+            "employee": { "@type": "Person", "name": "Jan Kowalski", "jobTitle": "Prezes Zarządu", "email": "jan@firma.pl" }
+        }
+        </script>
+        <script type="application/ld+json">{ not valid json</script>
+        <div itemscope itemtype="https://schema.org/Person">
+            <span itemprop="name">Anna Nowak</span>
+            <span itemprop="jobTitle">Designer</span>
+            <a itemprop="email" href="mailto:anna@firma.pl">Email</a>
+        </div>
+        <div vocab="https://schema.org/" typeof="LocalBusiness">
+            <span property="name">Café Berlin</span>
+            <a property="email" href="mailto:hallo@cafe-berlin.de">Email</a>
+        </div>
+        <div class="h-card">
+            <span class="p-name">Piotr Zieliński</span>
+            <span class="p-job-title">Księgowy</span>
+            <a class="u-email" href="mailto:piotr@firma.pl">Email</a>
+        </div>
+    `);
+
+    const entities = extractStructuredData($);
+    const byEmail = email => entities.find(entity => entity.emails.includes(email));
+
+    const testCases = [
+        { email: 'biuro@firma.pl', check: e => e.type === 'Organization' && e.addresses[0].country === 'PL', description: 'JSON-LD Organization with address' },
+        { email: 'pomoc@firma.pl', check: e => e.type === 'ContactPoint' && e.organization === 'Firma Sp. z o.o.', description: 'contactPoint inherits organization' },
+        { email: 'jan@firma.pl', check: e => e.name === 'Jan Kowalski' && e.jobTitles[0] === 'Prezes Zarządu' && e.organization === 'Firma Sp. z o.o.', description: 'Employee Person' },
+        { email: 'anna@firma.pl', check: e => e.source === 'microdata' && e.name === 'Anna Nowak', description: 'Microdata Person' },
+        { email: 'hallo@cafe-berlin.de', check: e => e.source === 'rdfa' && e.types.includes('LocalBusiness'), description: 'RDFa LocalBusiness' },
+        { email: 'piotr@firma.pl', check: e => e.source === 'hcard' && e.name === 'Piotr Zieliński' && e.jobTitles[0] === 'Księgowy', description: 'hCard Person' }
+    ];
+
+    let passed = 0;
+    testCases.forEach((testCase, index) => {
+        const entity = byEmail(testCase.email);
+        const ok = Boolean(entity) && testCase.check(entity);
+        if (ok) passed++;
+        console.log(`${index + 1}. ${ok ? '✅ PASS' : '❌ FAIL'} ${testCase.description}`);
+        console.log(`   ${testCase.email} -> ${entity ? `${entity.source} ${entity.type}: ${entity.name || '-'}` : 'not found'}\n`);
+    });
+
+    console.log(`📊 ${passed}/${testCases.length} structured data checks passed`);
+    if (passed < testCases.length) process.exitCode = 1;
+}
+
+testStructuredData();